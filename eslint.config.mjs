@@ -3,4 +3,36 @@ import prettier from 'eslint-config-prettier';
 import apify from '@apify/eslint-config/js.js';
 
 // eslint-disable-next-line import/no-default-export
-export default [{ ignores: ['**/dist'] }, ...apify, prettier];
+export default [
+    { ignores: ['**/dist'] },
+    ...apify,
+    prettier,
+    {
+        rules: {
+            // Shared crawl state is updated in place by the helpers that own it
+            'no-param-reassign': [
+                'error',
+                {
+                    props: true,
+                    ignorePropertyModificationsFor: [
+                        'acc',
+                        'accumulator',
+                        'e',
+                        'ctx',
+                        'context',
+                        'req',
+                        'request',
+                        'res',
+                        'response',
+                        'session',
+                        'backoff',
+                        'crawlerInstance',
+                        'report',
+                        'query',
+                        'record',
+                    ],
+                },
+            ],
+        },
+    },
+];
@@ -0,0 +1,345 @@
+// ASOS REST API client - search, category, product summary and stock-price endpoints
+import { log } from 'apify';
+import { gotScraping } from 'got-scraping';
+
+import { BLOCKED_STATUS_CODES } from './blocking.js';
+import { referencePrice } from './pricing.js';
+import { absoluteUrl, resolveStore } from './stores.js';
+import { normalizeImageUrl } from './utils.js';
+
+/**
+ * Fetch products from ASOS Search API
+ * @param {string} keyword - Search keyword
+ * @param {number} page - Page number (0-indexed for API)
+ * @param {object} options - Additional options (store, limit, sort, refine, transport)
+ * @returns {Promise<object>} - API response with products array
+ */
+export async function fetchSearchAPI(keyword, page = 0, options = {}) {
+    return fetchListingAPI('/api/product/search/v2/categories', { q: keyword }, `Search API: ${keyword}`, page, options);
+}
+
+/**
+ * Fetch products from the ASOS category listing API
+ * @param {string|number} categoryId - ASOS category ID (cid)
+ * @param {number} page - Page number (0-indexed for API)
+ * @param {object} options - Additional options (store, limit, sort, refine, transport)
+ * @returns {Promise<object>} - API response with products array and category name
+ */
+export async function fetchCategoryAPI(categoryId, page = 0, options = {}) {
+    return fetchListingAPI(
+        `/api/product/search/v2/categories/${encodeURIComponent(categoryId)}`,
+        {},
+        `Category API: cid ${categoryId}`,
+        page,
+        options,
+    );
+}
+
+async function fetchListingAPI(path, params, label, page, options) {
+    const {
+        store = resolveStore('US'),
+        limit = 72,
+        sortBy = 'pricedesc',
+        refine = null,
+        transport,
+    } = options;
+
+    const offset = page * limit;
+    const url = new URL(path, store.origin);
+
+    for (const [key, value] of Object.entries(params)) {
+        url.searchParams.set(key, value);
+    }
+    url.searchParams.set('store', store.code);
+    url.searchParams.set('lang', store.lang);
+    url.searchParams.set('currency', store.currency);
+    url.searchParams.set('offset', String(offset));
+    url.searchParams.set('limit', String(limit));
+    url.searchParams.set('country', store.country);
+    url.searchParams.set('keyStoreDataversion', 'ornjx7v-35');
+
+    if (sortBy) {
+        url.searchParams.set('sort', sortBy);
+    }
+    if (refine) {
+        url.searchParams.set('refine', refine);
+    }
+
+    try {
+        log.info(`Fetching ASOS ${label} (store ${store.key}, page ${page})`);
+
+        const data = await requestApiJson(url.toString(), store, transport);
+
+        if (!data || !data.products) {
+            log.warning('API response missing products array');
+            return { products: [], itemCount: 0, error: 'API response missing products array' };
+        }
+
+        log.info(`✓ API returned ${data.products?.length || 0} products`);
+        return {
+            products: data.products || [],
+            itemCount: data.itemCount || 0,
+            categoryName: data.categoryName || null,
+            facets: data.facets || [],
+            pagination: {
+                page: Math.floor(offset / limit),
+                pageSize: limit,
+                totalResults: data.itemCount || 0,
+                totalPages: Math.ceil((data.itemCount || 0) / limit),
+            },
+        };
+    } catch (error) {
+        log.debug(`ASOS ${label} failed: ${error.message}`);
+        return { products: [], itemCount: 0, error: error.message, statusCode: error.response?.statusCode ?? null };
+    }
+}
+
+// Blocked statuses retire the session instead of being retried on it
+const RETRY_STATUS_CODES = [408, 500, 502, 503, 504, 521, 522, 524];
+
+// Browser identity headers taken from the session fingerprint so API calls match the session's page requests
+const FINGERPRINT_HEADERS = ['user-agent', 'sec-ch-ua', 'sec-ch-ua-mobile', 'sec-ch-ua-platform'];
+
+/**
+ * GET a JSON endpoint through the crawler's proxy session
+ * @param {string} url - Endpoint URL
+ * @param {object} store - Resolved store config
+ * @param {object} transport - { proxyUrl, session, headers } of the crawler request; omitted for direct calls
+ * @returns {Promise<any>} - Parsed JSON body
+ */
+async function requestApiJson(url, store, { proxyUrl, session, headers: fingerprint } = {}) {
+    const headers = buildApiHeaders(store, fingerprint);
+    const cookie = session?.getCookieString(url);
+    if (cookie) headers.cookie = cookie;
+
+    try {
+        const response = await gotScraping({
+            url,
+            method: 'GET',
+            headers,
+            proxyUrl,
+            responseType: 'json',
+            timeout: { request: 30000 },
+            retry: { limit: 2, statusCodes: RETRY_STATUS_CODES },
+        });
+        session?.setCookiesFromResponse(response);
+        return response.body;
+    } catch (error) {
+        const statusCode = error.response?.statusCode;
+        if (session && BLOCKED_STATUS_CODES.includes(statusCode)) {
+            log.warning(`ASOS API answered ${statusCode}, retiring session ${session.id}`);
+            session.retire();
+        }
+        throw error;
+    }
+}
+
+/**
+ * Build realistic headers for API requests
+ * @param {object} store - Resolved store config
+ * @param {object} fingerprint - Headers generated for the crawler session; their browser identity wins
+ * @returns {object} - Headers object
+ */
+export function buildApiHeaders(store, fingerprint = null) {
+    const primaryLang = store.lang.split('-')[0];
+    const identity = Object.fromEntries(FINGERPRINT_HEADERS.filter((name) => fingerprint?.[name]).map((name) => [name, fingerprint[name]]));
+    return {
+        'accept': 'application/json, text/plain, */*',
+        'accept-language': `${store.lang},${primaryLang};q=0.9`,
+        'asos-c-name': 'asos-web-product-listing-page',
+        'asos-cid': 'web-product-listing-page',
+        'cache-control': 'no-cache',
+        'pragma': 'no-cache',
+        'referer': `${store.baseUrl}/search/`,
+        'sec-ch-ua': '"Not_A Brand";v="8", "Chromium";v="120", "Google Chrome";v="120"',
+        'sec-ch-ua-mobile': '?0',
+        'sec-ch-ua-platform': '"Windows"',
+        'sec-fetch-dest': 'empty',
+        'sec-fetch-mode': 'cors',
+        'sec-fetch-site': 'same-origin',
+        'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        ...identity,
+    };
+}
+
+/**
+ * Normalize API product data to consistent format
+ * @param {object} product - Raw API product object
+ * @param {object} store - Resolved store config
+ * @returns {object} - Normalized product
+ */
+export function normalizeApiProduct(product, store = resolveStore('US')) {
+    if (!product) return null;
+
+    const id = String(product.id || product.productId || '');
+    const price = product.price || {};
+    const currentPrice = price.current?.value ?? price.value ?? null;
+    const previousPrice = price.previous?.value ?? null;
+    const originalPrice = referencePrice(price);
+
+    // Colourways are listed as a facet grouping of sibling product IDs
+    const colourways = (product.facetGroupings || []).find((group) => /colou?rway/i.test(group.type || ''));
+
+    // Support both 'imageUrl' and 'image' (which often contains the relative path)
+    const rawImage = product.imageUrl || product.image || product.images?.[0]?.url || product.media?.images?.[0]?.url || null;
+
+    return {
+        id,
+        name: product.name || product.title || null,
+        brandName: product.brandName || product.brand?.name || product.brand || null,
+        price: {
+            current: {
+                value: currentPrice,
+                text: price.current?.text || (currentPrice ? `${price.currency || ''}${currentPrice}` : null),
+            },
+            previous: {
+                value: previousPrice,
+                text: previousPrice ? `${price.currency || ''}${previousPrice}` : null,
+            },
+            was: {
+                value: price.was?.value ?? null,
+                text: price.was?.text || null,
+            },
+            rrp: {
+                value: price.rrp?.value ?? null,
+                text: price.rrp?.text || null,
+            },
+            currency: price.currency || store.currency,
+            isMarkedDown: price.isMarkedDown || (originalPrice && currentPrice && originalPrice > currentPrice) || false,
+            isOutletPrice: Boolean(price.isOutletPrice),
+        },
+        url: absoluteUrl(product.url || '', store),
+        imageUrl: normalizeImageUrl(rawImage),
+        images: product.images || [],
+        additionalImageUrls: product.additionalImageUrls || [],
+        videoUrl: product.videoUrl || null,
+        colour: product.colour || product.colourWayId || product.color || product.colourWayLabel || null,
+        isInStock: product.isInStock ?? !product.isNoSize ?? true,
+        isMarkedDown: price.isMarkedDown || (originalPrice && currentPrice && originalPrice > currentPrice) || false,
+        isOutlet: Boolean(price.isOutletPrice || product.isOutlet),
+        productCode: product.productCode || product.sku || null,
+        badges: product.badges || [],
+        productType: product.productType || null,
+        colourwayIds: (colourways?.products || []).map((member) => String(member.productId ?? member.id ?? '')).filter(Boolean),
+        hasVariantColours: Boolean(product.hasVariantColours || colourways?.products?.length > 1),
+    };
+}
+
+/**
+ * Fetch product summaries (name, price, colour, image, colourways) for a batch of product IDs
+ * @param {string[]} productIds - ASOS product IDs
+ * @param {object} store - Resolved store config
+ * @param {object} transport - Proxy session shared with the crawler request (see requestApiJson)
+ * @param {object} options - `rethrow` passes failures on instead of returning no products, so callers can
+ *   tell a failed call from products the catalogue no longer has
+ * @returns {Promise<Array>} - Normalized products, in API order; empty on failure
+ */
+export async function fetchProductSummaries(productIds, store, transport, { rethrow = false } = {}) {
+    if (!productIds.length) return [];
+
+    const url = new URL('/api/product/catalogue/v4/summaries', store.origin);
+    url.searchParams.set('productIds', productIds.join(','));
+    url.searchParams.set('store', store.code);
+    url.searchParams.set('lang', store.lang);
+    url.searchParams.set('currency', store.currency);
+    url.searchParams.set('keyStoreDataversion', 'ornjx7v-35');
+
+    try {
+        const body = await requestApiJson(url.toString(), store, transport);
+        const data = Array.isArray(body) ? body : [];
+        return data.map((product) => normalizeApiProduct(product, store)).filter(Boolean);
+    } catch (error) {
+        if (rethrow) throw error;
+        log.debug(`ASOS product summaries API failed for ${productIds.join(',')}: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Fetch per-variant stock and price for a batch of products from the ASOS stock-price endpoint
+ * @param {string[]} productIds - ASOS product IDs
+ * @param {object} store - Resolved store config
+ * @param {object} transport - Proxy session shared with the crawler request (see requestApiJson)
+ * @returns {Promise<Array>} - Stock-price entries of the products the endpoint knows; empty on failure
+ */
+export async function fetchStockPrices(productIds, store, transport) {
+    if (!productIds.length) return [];
+
+    const url = new URL('/api/product/catalogue/v4/stockprice', store.origin);
+    url.searchParams.set('productIds', productIds.join(','));
+    url.searchParams.set('store', store.code);
+    url.searchParams.set('currency', store.currency);
+    url.searchParams.set('keyStoreDataversion', 'ornjx7v-35');
+
+    try {
+        const body = await requestApiJson(url.toString(), store, transport);
+        return Array.isArray(body) ? body : [];
+    } catch (error) {
+        log.debug(`ASOS stock-price API failed for ${productIds.join(',')}: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Fetch per-variant stock and price from the ASOS stock-price endpoint
+ * @param {string} productId - ASOS product ID
+ * @param {object} store - Resolved store config
+ * @param {object} transport - Proxy session shared with the crawler request (see requestApiJson)
+ * @returns {Promise<object|null>} - Stock-price entry for the product or null
+ */
+export async function fetchStockPrice(productId, store, transport) {
+    const entries = await fetchStockPrices([String(productId)], store, transport);
+    return entries.find((entry) => String(entry.productId) === String(productId)) || null;
+}
+
+/**
+ * Fetch rating statistics and the most recent reviews of a product from the ASOS reviews endpoint
+ * @param {string} productId - ASOS product ID
+ * @param {object} store - Resolved store config
+ * @param {object} transport - Proxy session shared with the crawler request (see requestApiJson)
+ * @param {number} limit - Number of reviews to return, newest first
+ * @returns {Promise<object|null>} - Raw reviews response or null on failure
+ */
+export async function fetchProductReviews(productId, store, transport, limit = 1) {
+    const url = new URL(`/api/product/reviews/v1/products/${encodeURIComponent(productId)}`, store.origin);
+    url.searchParams.set('offset', '0');
+    url.searchParams.set('limit', String(limit));
+    url.searchParams.set('include', 'Products');
+    url.searchParams.set('filteredStats', 'reviews');
+    url.searchParams.set('sort', 'SubmissionTime:desc');
+    url.searchParams.set('store', store.code);
+    url.searchParams.set('lang', store.lang);
+
+    try {
+        return await requestApiJson(url.toString(), store, transport);
+    } catch (error) {
+        log.debug(`ASOS reviews API failed for ${productId}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Fetch search suggestions (autocomplete) for a search term
+ * @param {string} term - Search term typed so far
+ * @param {object} store - Resolved store config
+ * @param {object} transport - Proxy and fingerprint headers (see requestApiJson)
+ * @param {number} limit - Maximum suggestions
+ * @returns {Promise<object|null>} - Raw suggestions response or null on failure
+ */
+export async function fetchSearchSuggestions(term, store, transport, limit = 10) {
+    const url = new URL('/api/search/v1/suggestions', store.origin);
+    url.searchParams.set('q', term);
+    url.searchParams.set('store', store.code);
+    url.searchParams.set('lang', store.lang);
+    url.searchParams.set('country', store.country);
+    url.searchParams.set('currency', store.currency);
+    url.searchParams.set('limit', String(limit));
+    url.searchParams.set('keyStoreDataversion', 'ornjx7v-35');
+
+    try {
+        return await requestApiJson(url.toString(), store, transport);
+    } catch (error) {
+        log.debug(`ASOS search suggestions API failed for "${term}": ${error.message}`);
+        return null;
+    }
+}
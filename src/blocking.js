@@ -0,0 +1,120 @@
+// Block detection - bot challenges, access-denied pages and soft blocks, plus adaptive backoff under repeated blocks
+import { SessionError } from 'crawlee';
+
+// Markers that only appear on challenge or denial pages; normal ASOS pages also load Akamai's sensor script
+const BLOCK_PATTERNS = [
+    [/bm-verify|sec-if-cpt|_sec\/cp_challenge/i, 'Akamai bot challenge'],
+    [/errors\.edgesuite\.net|Reference\s*(?:#|&#35;)\s*\d+\.[0-9a-f]+\.\d+/i, 'Akamai access denied'],
+    [/px-captcha|captcha-delivery\.com|g-recaptcha|h-captcha/i, 'captcha'],
+    [/cf-browser-verification|challenge-platform/i, 'bot challenge'],
+];
+// Whole-title match, with an optional site suffix, so product titles such as "Forbidden Fruit Dresses | ASOS" pass
+const DENIED_TITLE =
+    /^(?:access denied|(?:403 )?forbidden|request (?:blocked|rejected)|attention required!?|just a moment\.{0,3}|pardon our interruption\.{0,3})(?:\s*[|:\u2013-]\s*(?:asos(?:\.com)?|cloudflare))?$/i;
+
+// Statuses ASOS answers blocked clients with
+export const BLOCKED_STATUS_CODES = [403, 429];
+
+// Real listing and product pages are hundreds of kilobytes; a near-empty 200 response without content is a soft block
+const SOFT_BLOCK_MAX_LENGTH = 1000;
+const PAGE_CONTENT = /<script|<main|<article/i;
+
+/**
+ * Thrown for a blocked page so Crawlee retires the session and retries the request on a new one
+ */
+export class BlockedError extends SessionError {
+    constructor(reason) {
+        super(`Blocked: ${reason}`);
+        this.name = 'BlockedError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Recognise bot-challenge, access-denied and empty soft-block responses
+ * @param {string} html - Response body
+ * @returns {string|null} - Why the page counts as blocked, or null for a normal page
+ */
+export function detectBlock(html) {
+    const title = html.match(/<title[^>]*>([^<]*)<\/title>/i)?.[1]?.trim() || '';
+    if (DENIED_TITLE.test(title)) return `blocked page title "${title}"`;
+
+    for (const [pattern, reason] of BLOCK_PATTERNS) {
+        if (pattern.test(html)) return reason;
+    }
+
+    if (html.trim().length < SOFT_BLOCK_MAX_LENGTH && !PAGE_CONTENT.test(html)) return 'empty response';
+    return null;
+}
+
+/**
+ * Whether a request error means the site blocked us, either detected here or by Crawlee's status code check
+ * @param {Error} error - Error thrown while handling a request
+ * @returns {boolean}
+ */
+export function isBlockError(error) {
+    return error instanceof BlockedError || /Request blocked - received \d+ status code/.test(error?.message || '');
+}
+
+// Backoff steps are decided over this many recent requests
+const WINDOW_SIZE = 20;
+const MIN_SAMPLES = 5;
+const SLOW_DOWN_BLOCK_RATE = 0.3;
+const MAX_DELAY_MS = 30000;
+
+/**
+ * Create backoff state starting at full speed
+ * @param {number} maxConcurrency - Concurrency when nothing is blocked
+ * @returns {object} - Backoff state with current concurrency, extra delay and per-proxy-group counts
+ */
+export function createBackoff(maxConcurrency) {
+    return { maxConcurrency, concurrency: maxConcurrency, delayMs: 0, recent: [], groups: new Map() };
+}
+
+/**
+ * Record a request outcome and step concurrency and delay down under repeated blocks, or back up once clean
+ * @param {object} backoff - Output of createBackoff
+ * @param {string} group - Proxy group the request went through
+ * @param {boolean} blocked - Whether the request was blocked
+ * @returns {'slower'|'faster'|null} - Direction of a backoff step, if one was taken
+ */
+export function recordOutcome(backoff, group, blocked) {
+    const stats = backoff.groups.get(group) || { requests: 0, blocked: 0 };
+    stats.requests++;
+    if (blocked) stats.blocked++;
+    backoff.groups.set(group, stats);
+
+    backoff.recent.push(blocked);
+    if (backoff.recent.length > WINDOW_SIZE) backoff.recent.shift();
+    const blockRate = backoff.recent.filter(Boolean).length / backoff.recent.length;
+
+    // Every step starts a fresh window so the next one is based on requests made at the new speed
+    if (blocked && backoff.recent.length >= MIN_SAMPLES && blockRate >= SLOW_DOWN_BLOCK_RATE) {
+        backoff.concurrency = Math.max(1, Math.floor(backoff.concurrency / 2));
+        backoff.delayMs = Math.min(MAX_DELAY_MS, backoff.delayMs ? backoff.delayMs * 2 : 1000);
+        backoff.recent = [];
+        return 'slower';
+    }
+    const throttled = backoff.concurrency < backoff.maxConcurrency || backoff.delayMs > 0;
+    if (!blocked && throttled && backoff.recent.length >= WINDOW_SIZE && blockRate === 0) {
+        backoff.concurrency = Math.min(backoff.maxConcurrency, backoff.concurrency + 1);
+        backoff.delayMs = backoff.delayMs >= 500 ? Math.floor(backoff.delayMs / 2) : 0;
+        backoff.recent = [];
+        return 'faster';
+    }
+    return null;
+}
+
+/**
+ * Block counts and rates per proxy group
+ * @param {object} backoff - Output of createBackoff
+ * @returns {Array} - One entry per proxy group as { group, requests, blocked, block_rate }
+ */
+export function blockRates(backoff) {
+    return [...backoff.groups].map(([group, { requests, blocked }]) => ({
+        group,
+        requests,
+        blocked,
+        block_rate: requests ? Math.round((blocked / requests) * 1000) / 1000 : 0,
+    }));
+}
@@ -0,0 +1,103 @@
+// Brand resolution - canonical brand names learned from API payloads and facets, matched against DOM titles
+
+/**
+ * Create an empty brand index with the user's alias map applied on top
+ * @param {object} aliases - Map of brand spellings to their canonical name, e.g. { "Polo Ralph Lauren": "Ralph Lauren" }
+ * @returns {object} - Index of known brands and aliases, keyed by lowercase name
+ */
+export function createBrandIndex(aliases = {}) {
+    const index = { brands: new Map(), aliases: new Map() };
+    for (const [alias, canonical] of Object.entries(aliases || {})) {
+        const from = String(alias).trim();
+        const to = String(canonical ?? '').trim();
+        if (!from || !to) continue;
+        index.aliases.set(from.toLowerCase(), to);
+        learnBrands(index, [to]);
+    }
+    return index;
+}
+
+/**
+ * Add brand names to the index; the first spelling seen wins
+ * @param {object} index - Output of createBrandIndex
+ * @param {string[]} names - Brand names from API payloads or the brand facet
+ */
+export function learnBrands(index, names) {
+    for (const name of names) {
+        const trimmed = String(name ?? '').trim();
+        if (trimmed && !index.brands.has(trimmed.toLowerCase())) index.brands.set(trimmed.toLowerCase(), trimmed);
+    }
+}
+
+/**
+ * Add the values of the brand facet to the index
+ * @param {object} index - Output of createBrandIndex
+ * @param {Array} facets - Output of normalizeFacets
+ */
+export function learnBrandsFromFacets(index, facets = []) {
+    const facet = facets.find((f) => f.id === 'brand' || /brand/i.test(f.name || ''));
+    if (facet) learnBrands(index, facet.values.map((v) => v.name));
+}
+
+/**
+ * Add the payload brands of a page of products to the index, skipping title guesses
+ * @param {object} index - Output of createBrandIndex
+ * @param {Array} products - Products from listing extraction
+ */
+export function learnBrandsFromProducts(index, products) {
+    learnBrands(
+        index,
+        products.filter((p) => p.brandSource !== 'heuristic').map((p) => p.brandName || p.brand?.name || null),
+    );
+}
+
+/**
+ * Longest known brand or alias the title starts with, as a whole word
+ * @param {Map} names - Lowercase name to canonical brand
+ * @param {string} title - Product title
+ * @returns {{ name: string, prefix: string }|null} - Canonical brand and the title text it matched
+ */
+function matchTitlePrefix(names, title) {
+    const lower = title.toLowerCase();
+    let best = null;
+    for (const [key, name] of names) {
+        if (!lower.startsWith(key) || (lower.length > key.length && !/\s/.test(lower[key.length]))) continue;
+        if (!best || key.length > best.prefix.length) best = { name, prefix: title.slice(0, key.length) };
+    }
+    return best;
+}
+
+/**
+ * Resolve a product's brand and record how it was determined
+ * @param {object} index - Output of createBrandIndex
+ * @param {object} p - Product from listing extraction
+ * @returns {{ name: string|null, source: string|null, titlePrefix: string|null }}
+ *   source is 'payload' (API/page data), 'alias' (user alias map), 'catalog' (title matched a known brand)
+ *   or 'heuristic' (title capitalisation guess)
+ */
+export function resolveBrand(index, p) {
+    const title = (p.name || p.title || '').trim();
+    const raw = p.brandName || p.brand?.name || (typeof p.brand === 'string' ? p.brand : null);
+    const rawPrefix = raw ? (matchTitlePrefix(new Map([[raw.toLowerCase(), raw]]), title)?.prefix ?? null) : null;
+
+    // Brands given by the API or page payload are authoritative and teach the index for DOM pages
+    if (raw && p.brandSource !== 'heuristic') {
+        learnBrands(index, [raw]);
+        const alias = index.aliases.get(raw.toLowerCase());
+        return { name: alias || raw, source: alias ? 'alias' : 'payload', titlePrefix: rawPrefix };
+    }
+
+    // The longest match wins, so "Polo Ralph Lauren" beats "Polo"; an alias beats a catalog brand of equal length
+    const byAlias = matchTitlePrefix(index.aliases, title);
+    const byCatalog = matchTitlePrefix(index.brands, title);
+    if (byAlias && (!byCatalog || byAlias.prefix.length >= byCatalog.prefix.length)) {
+        return { name: byAlias.name, source: 'alias', titlePrefix: byAlias.prefix };
+    }
+    if (byCatalog) return { name: byCatalog.name, source: 'catalog', titlePrefix: byCatalog.prefix };
+
+    if (raw) {
+        const alias = index.aliases.get(raw.toLowerCase());
+        return { name: alias || raw, source: alias ? 'alias' : 'heuristic', titlePrefix: rawPrefix };
+    }
+    return { name: null, source: null, titlePrefix: null };
+}
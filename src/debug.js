@@ -0,0 +1,59 @@
+// Debug capture - failed and low-yield pages with a JSON sidecar each, plus an index of everything captured
+import { createHash } from 'node:crypto';
+
+import { Actor } from 'apify';
+
+// Key-value store keys allow a-zA-Z0-9!-_.'() and up to 256 characters
+const KEY_SLUG_LENGTH = 180;
+
+/**
+ * Stable key-value store key for a captured page: readable URL slug plus a hash, so every URL gets its own key
+ * @param {string} url - Page URL
+ * @param {string} label - Request label (LISTING, API, DETAIL, GROUP)
+ * @returns {string}
+ */
+export function debugKey(url, label) {
+    const { host, pathname, search } = new URL(url);
+    const slug = `${host}${pathname}${search}`.replace(/[^a-zA-Z0-9!\-_.'()]+/g, '_').slice(0, KEY_SLUG_LENGTH);
+    const hash = createHash('sha1').update(`${label}|${url}`).digest('hex').slice(0, 10);
+    return `DEBUG-${label}-${slug}-${hash}`;
+}
+
+/**
+ * Create an empty capture index
+ * @returns {object} - Index entries, keyed by debug key
+ */
+export function createDebugCapture() {
+    return { entries: new Map() };
+}
+
+/**
+ * Store a page's HTML (when there is one) with a JSON sidecar, and update the DEBUG_INDEX record
+ * @param {object} capture - Output of createDebugCapture
+ * @param {object} page - { url, label, reason, html, statusCode, headers, sessionId, retryCount, stages }
+ *   where stages lists each extraction stage tried as { stage, products, reason }
+ * @returns {Promise<string>} - Key of the captured page
+ */
+export async function capturePage(capture, { url, label, reason, html, statusCode, headers, sessionId, retryCount, stages = [] }) {
+    const key = debugKey(url, label);
+    const capturedAt = new Date().toISOString();
+    if (html) await Actor.setValue(key, html, { contentType: 'text/html' });
+
+    await Actor.setValue(`${key}-META`, {
+        url,
+        label,
+        reason,
+        status_code: statusCode ?? null,
+        headers: headers ?? null,
+        session_id: sessionId ?? null,
+        retry_count: retryCount ?? 0,
+        stages,
+        html_key: html ? key : null,
+        captured_at: capturedAt,
+    });
+
+    // Retries of the same URL overwrite its capture, so the index keeps one entry per page
+    capture.entries.set(key, { key, meta_key: `${key}-META`, url, label, reason, status_code: statusCode ?? null, captured_at: capturedAt });
+    await Actor.setValue('DEBUG_INDEX', [...capture.entries.values()]);
+    return key;
+}
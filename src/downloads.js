@@ -0,0 +1,141 @@
+// Image downloads - product images kept in a named key-value store, stored once per distinct file, with a perceptual hash
+import { createHash } from 'node:crypto';
+
+import { Actor, log } from 'apify';
+import { gotScraping } from 'got-scraping';
+import sharp from 'sharp';
+
+// Maps content hashes to stored files, so identical images found in later runs are not stored again
+const INDEX_KEY = 'IMAGE_INDEX';
+// Maps `<productId>-<index>` of each gallery image to the key of its stored file
+const PRODUCT_INDEX_KEY = 'PRODUCT_IMAGES';
+
+/**
+ * Open the named key-value store for downloaded images and load its indexes
+ * @param {string} storeName - Named key-value store that survives between runs
+ * @returns {Promise<object>} - Image store with the opened store, stored files by content hash, file keys by product
+ *   image and downloads by URL
+ */
+export async function openImageStore(storeName) {
+    const kvStore = await Actor.openKeyValueStore(storeName);
+    const files = new Map(Object.entries((await kvStore.getValue(INDEX_KEY)) || {}));
+    const products = new Map(Object.entries((await kvStore.getValue(PRODUCT_INDEX_KEY)) || {}));
+    return { kvStore, files, products, pending: new Map(), byUrl: new Map() };
+}
+
+/**
+ * Persist both indexes back to the key-value store
+ * @param {object} imageStore - Output of openImageStore
+ */
+export async function saveImageStore(imageStore) {
+    await imageStore.kvStore.setValue(INDEX_KEY, Object.fromEntries(imageStore.files));
+    await imageStore.kvStore.setValue(PRODUCT_INDEX_KEY, Object.fromEntries(imageStore.products));
+}
+
+/**
+ * 64-bit difference hash: the image shrunk to 9x8 greyscale, one bit per horizontal brightness step.
+ * Re-encoded or resized copies of an image get the same or a nearby hash
+ * @param {Buffer} buffer - Image file
+ * @returns {Promise<string>} - 16 hex characters
+ */
+export async function perceptualHash(buffer) {
+    const pixels = await sharp(buffer).greyscale().resize(9, 8, { fit: 'fill' }).raw().toBuffer();
+    let hash = 0n;
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            hash = hash * 2n + (pixels[y * 9 + x] < pixels[y * 9 + x + 1] ? 1n : 0n);
+        }
+    }
+    return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * Store an image file under its SHA-256 content hash unless the same file is stored already
+ * @param {object} imageStore - Output of openImageStore
+ * @param {Buffer} buffer - Image file
+ * @param {string} contentType - Content type the image was served with
+ * @returns {Promise<object>} - Stored file as { key, content_type, bytes, phash }
+ */
+export async function storeImage(imageStore, buffer, contentType) {
+    // A key is never reused for other bytes, so the index cannot point at a file that changed
+    const contentHash = createHash('sha256').update(buffer).digest('hex');
+    const key = contentHash;
+    if (imageStore.files.has(contentHash)) return imageStore.files.get(contentHash);
+
+    // Colourways sharing an image can be saved at the same moment; the first one stores it
+    if (!imageStore.pending.has(contentHash)) {
+        imageStore.pending.set(
+            contentHash,
+            (async () => {
+                const phash = await perceptualHash(buffer).catch((error) => {
+                    log.debug(`Could not hash image ${key}: ${error.message}`);
+                    return null;
+                });
+                await imageStore.kvStore.setValue(key, buffer, { contentType });
+                const file = { key, content_type: contentType, bytes: buffer.length, phash };
+                imageStore.files.set(contentHash, file);
+                imageStore.pending.delete(contentHash);
+                return file;
+            })(),
+        );
+    }
+    return imageStore.pending.get(contentHash);
+}
+
+/**
+ * Download an image and store it; failures are logged and give null
+ * @param {object} imageStore - Output of openImageStore
+ * @param {string} url - Image URL
+ * @param {string} proxyUrl - Proxy of the crawler request
+ * @returns {Promise<object|null>} - Stored file
+ */
+async function downloadImage(imageStore, url, proxyUrl) {
+    try {
+        const response = await gotScraping({
+            url,
+            proxyUrl,
+            responseType: 'buffer',
+            timeout: { request: 30000 },
+            retry: { limit: 2 },
+        });
+        const contentType = response.headers['content-type']?.split(';')[0] || '';
+        // Error pages come back as HTML, sometimes with a 200 status
+        if (response.statusCode >= 400 || !contentType.startsWith('image/')) {
+            log.debug(`Image download failed for ${url}: status ${response.statusCode}, ${contentType || 'no content type'}`);
+            return null;
+        }
+        return await storeImage(imageStore, response.body, contentType);
+    } catch (error) {
+        log.debug(`Image download failed for ${url}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Download a product's images into the image store and point `<productId>-<index>` of each at its stored file
+ * @param {object} imageStore - Output of openImageStore
+ * @param {string} productId - Product the images belong to
+ * @param {string[]} urls - Image URLs in gallery order
+ * @param {object} transport - { proxyUrl } of the crawler request
+ * @returns {Promise<Array>} - One { url, key, alias, content_type, bytes, phash } per stored image, in gallery order
+ */
+export async function downloadImages(imageStore, productId, urls, { proxyUrl } = {}) {
+    // The gallery downloads in parallel; a URL seen before in this run (the product found by several queries) is not
+    // downloaded again
+    const files = await Promise.all(
+        urls.map((url) => {
+            if (!imageStore.byUrl.has(url)) imageStore.byUrl.set(url, downloadImage(imageStore, url, proxyUrl));
+            return imageStore.byUrl.get(url);
+        }),
+    );
+    return urls
+        .map((url, index) => {
+            if (!files[index]) return null;
+            // A changed image re-points its gallery position to the new file; the old file stays
+            const alias = `${productId}-${index}`;
+            imageStore.products.set(alias, files[index].key);
+            const { key, ...file } = files[index];
+            return { url, key, alias, ...file };
+        })
+        .filter(Boolean);
+}
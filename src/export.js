@@ -0,0 +1,174 @@
+// File export - dataset records written as CSV, JSONL or Parquet files with a configurable column mapping
+import { Actor } from 'apify';
+import { parquetWriteBuffer } from 'hyparquet-writer';
+
+export const EXPORT_FORMATS = {
+    csv: { key: 'EXPORT.csv', contentType: 'text/csv; charset=utf-8' },
+    jsonl: { key: 'EXPORT.jsonl', contentType: 'application/x-ndjson; charset=utf-8' },
+    parquet: { key: 'EXPORT.parquet', contentType: 'application/vnd.apache.parquet' },
+};
+
+// How array fields (images, sizes, badges...) become flat values
+export const ARRAY_MODES = ['join', 'columns', 'keep'];
+
+const JOIN_SEPARATOR = ' | ';
+
+// Objects inside arrays are represented by their most telling property, e.g. the size of a sizes entry
+const ITEM_LABELS = ['size', 'name', 'text', 'key', 'url'];
+
+/**
+ * Reject export options the export stage cannot apply, before the run starts
+ * @param {object} options - { formats, columns, arrays } from input
+ */
+export function validateExportOptions({ formats = [], columns = [], arrays = 'join' } = {}) {
+    const unknown = formats.filter((format) => !EXPORT_FORMATS[format]);
+    if (unknown.length) {
+        throw new Error(`Unknown export formats: ${unknown.join(', ')}. Supported: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+    if (!ARRAY_MODES.includes(arrays)) {
+        throw new Error(`Unknown exportArrays "${arrays}". Use one of: ${ARRAY_MODES.join(', ')}.`);
+    }
+    for (const column of columns) {
+        const field = typeof column === 'string' ? column : column?.field;
+        if (!field || typeof field !== 'string') {
+            throw new Error(`Invalid export column ${JSON.stringify(column)}. Use a field name or { "field": "price", "name": "Price" }.`);
+        }
+    }
+}
+
+/**
+ * Resolve the exported columns: the configured list in its order, or every field the records have
+ * @param {Array} records - Dataset records
+ * @param {Array} columns - Field names or { field, name } objects; empty exports every field
+ * @param {string[]} exclude - Fields to leave out
+ * @returns {Array} - Columns as { field, name }
+ */
+export function resolveColumns(records, columns = [], exclude = []) {
+    const fields = columns.length ? columns : [...new Set(records.flatMap((record) => Object.keys(record)))];
+    const resolved = fields.map((column) =>
+        typeof column === 'string' ? { field: column, name: column } : { field: column.field, name: column.name || column.field },
+    );
+    return resolved.filter((column) => !exclude.includes(column.field));
+}
+
+/**
+ * Flat text for an array item
+ * @param {any} item - Array item
+ * @returns {string|number|boolean|null}
+ */
+function itemLabel(item) {
+    if (item === null || typeof item !== 'object') return item ?? null;
+    const label = ITEM_LABELS.find((prop) => item[prop] !== null && item[prop] !== undefined);
+    return label ? item[label] : JSON.stringify(item);
+}
+
+/**
+ * Apply the column mapping and flatten array fields
+ * @param {Array} records - Dataset records
+ * @param {Array} columns - Output of resolveColumns
+ * @param {string} arrays - 'join' (one text value), 'columns' (one column per item) or 'keep' (arrays stay arrays)
+ * @returns {{ headers: string[], rows: Array }} - Rows keyed by header
+ */
+export function flattenRecords(records, columns, arrays = 'join') {
+    // In columns mode an array field gets as many columns as its longest value has items
+    const widths = new Map();
+    if (arrays === 'columns') {
+        for (const { field } of columns) {
+            const width = Math.max(0, ...records.map((record) => (Array.isArray(record[field]) ? record[field].length : 0)));
+            if (records.some((record) => Array.isArray(record[field]))) widths.set(field, width);
+        }
+    }
+    const headers = columns.flatMap(({ field, name }) =>
+        widths.has(field) ? Array.from({ length: widths.get(field) }, (_, i) => `${name}_${i + 1}`) : [name],
+    );
+
+    const rows = records.map((record) => {
+        const row = {};
+        for (const { field, name } of columns) {
+            const value = record[field] ?? null;
+            if (widths.has(field)) {
+                const items = Array.isArray(value) ? value : [];
+                for (let i = 0; i < widths.get(field); i++) row[`${name}_${i + 1}`] = i < items.length ? itemLabel(items[i]) : null;
+            } else if (Array.isArray(value) && arrays === 'join') {
+                row[name] = value.map(itemLabel).filter((item) => item !== null).join(JOIN_SEPARATOR);
+            } else {
+                row[name] = value;
+            }
+        }
+        return row;
+    });
+    return { headers, rows };
+}
+
+/**
+ * Text of a value for CSV and Parquet string columns; objects and arrays left by 'keep' become JSON
+ * @param {any} value - Row value
+ * @returns {string|null}
+ */
+function cellText(value) {
+    if (value === null || value === undefined) return null;
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Serialize rows as CSV with a header line; fields are quoted when needed
+ * @param {string[]} headers - Column names
+ * @param {Array} rows - Output of flattenRecords
+ * @returns {string}
+ */
+export function toCsv(headers, rows) {
+    const quote = (value) => {
+        const text = cellText(value) ?? '';
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [headers, ...rows.map((row) => headers.map((header) => row[header]))];
+    return lines.map((line) => `${line.map(quote).join(',')}\r\n`).join('');
+}
+
+/**
+ * Serialize rows as JSON Lines, one object per line in column order
+ * @param {string[]} headers - Column names
+ * @param {Array} rows - Output of flattenRecords
+ * @returns {string}
+ */
+export function toJsonl(headers, rows) {
+    const ordered = (row) => Object.fromEntries(headers.map((header) => [header, row[header] ?? null]));
+    return rows.map((row) => `${JSON.stringify(ordered(row))}\n`).join('');
+}
+
+/**
+ * Serialize rows as a Parquet file; columns holding only numbers or only booleans keep their type, the rest are text
+ * @param {string[]} headers - Column names
+ * @param {Array} rows - Output of flattenRecords
+ * @returns {Buffer}
+ */
+export function toParquet(headers, rows) {
+    const columnData = headers.map((name) => {
+        const values = rows.map((row) => row[name] ?? null);
+        const present = values.filter((value) => value !== null);
+        const allOf = (type) => present.length > 0 && present.every((value) => typeof value === type);
+        if (allOf('number')) return { name, data: values, type: 'DOUBLE' };
+        if (allOf('boolean')) return { name, data: values, type: 'BOOLEAN' };
+        return { name, data: values.map(cellText), type: 'STRING' };
+    });
+    return Buffer.from(parquetWriteBuffer({ columnData }));
+}
+
+const SERIALIZERS = { csv: toCsv, jsonl: toJsonl, parquet: toParquet };
+
+/**
+ * Write the records to the run's key-value store, one file per format
+ * @param {Array} records - Dataset records
+ * @param {object} options - { formats, columns, exclude, arrays }
+ * @returns {Promise<Array>} - Written files as { format, key, rows }
+ */
+export async function exportRecords(records, { formats, columns = [], exclude = [], arrays = 'join' }) {
+    const { headers, rows } = flattenRecords(records, resolveColumns(records, columns, exclude), arrays);
+    const written = [];
+    for (const format of formats) {
+        const { key, contentType } = EXPORT_FORMATS[format];
+        await Actor.setValue(key, SERIALIZERS[format](headers, rows), { contentType });
+        written.push({ format, key, rows: rows.length });
+    }
+    return written;
+}
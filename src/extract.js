@@ -0,0 +1,433 @@
+// Extraction waterfall - window.asos, __NEXT_DATA__, DOM tiles and product detail pages
+import vm from 'node:vm';
+
+import { log } from 'apify';
+
+import { absoluteMediaUrl } from './images.js';
+import { normalizeImageUrl, parseJsonSafe, parsePriceText } from './utils.js';
+
+export function extractWindowAsos(html) {
+    // 1) Structured JSON payloads: <script data-id="window.asos..." type="application/json">{...}</script>
+    const dataIdRegex = /<script[^>]*data-id="window\.asos[^"]*"[^>]*>([\s\S]*?)<\/script>/gi;
+    let match;
+    while ((match = dataIdRegex.exec(html)) !== null) {
+        const json = match[1]?.trim();
+        const parsed = parseJsonSafe(json);
+        if (parsed) return parsed;
+    }
+
+    // 2) Inline assignment: window.asos = {...}; or window.asos.plp = {...};
+    const scriptRegex = /<script\b[^>]*>([\s\S]*?)<\/script>/gi;
+    while ((match = scriptRegex.exec(html)) !== null) {
+        const script = match[1];
+        if (!script || !script.includes('window.asos')) continue;
+
+        // Try various assignment patterns
+        const patterns = [
+            /window\.asos\s*=\s*(\{[\s\S]*?\});?/,
+            /window\.asos\.plp\s*=\s*(\{[\s\S]*?\});?/,
+            /window\.asos\.search\s*=\s*(\{[\s\S]*?\});?/
+        ];
+
+        for (const pattern of patterns) {
+            const assignMatch = script.match(pattern);
+            if (assignMatch?.[1]) {
+                const parsed = parseJsonSafe(assignMatch[1]);
+                if (parsed) return parsed;
+            }
+        }
+
+        // Fallback: evaluate inside sandbox
+        const context = {
+            result: null,
+            document: {},
+            navigator: {},
+            location: {},
+            localStorage: { getItem: () => null, setItem: () => undefined },
+        };
+
+        const code = `var window = { asos: { plp: {}, search: {} } };
+            ${script}
+            globalThis.result = window.asos;`;
+
+        try {
+            vm.runInNewContext(code, context, { timeout: 1000 });
+            if (context.result && Object.keys(context.result).length) return context.result;
+        } catch (error) {
+            log.debug(`window.asos eval failed: ${error.message}`);
+        }
+    }
+    return null;
+}
+
+export function extractNextData(html) {
+    const match = html.match(/id="__NEXT_DATA__"[^>]*>([\s\S]*?)<\/script>/);
+    if (!match) return null;
+    try {
+        return JSON.parse(match[1]);
+    } catch (error) {
+        log.debug(`__NEXT_DATA__ parse failed: ${error.message}`);
+        return null;
+    }
+}
+
+export function getProductsFromWindow(data) {
+    if (!data) return [];
+    return (
+        data.plp?.products ||
+        data.plp?.results ||
+        data.search?.products ||
+        data.search?.results ||
+        data.props?.pageProps?.searchResults?.products ||
+        data.props?.pageProps?.plp?.products ||
+        data.products ||
+        []
+    );
+}
+
+export function extractPagination(obj) {
+    const p = obj?.plp?.pagination || obj?.pagination;
+    if (!p) return null;
+    return {
+        page: Number(p.pageNumber ?? p.page ?? p.currentPage ?? 1),
+        pageSize: Number(p.pageSize ?? p.itemsPerPage ?? p.perPage ?? p.limit ?? 72),
+        totalPages: Number(p.totalPages ?? p.numberOfPages ?? p.pages ?? 0) || null,
+        totalResults: Number(p.totalResults ?? p.resultCount ?? p.total ?? 0) || null,
+    };
+}
+
+export function extractPaginationFromUrl(url) {
+    const u = new URL(url);
+    const page = Number(u.searchParams.get('page') || 1);
+    return { page, pageSize: null, totalPages: null, totalResults: null };
+}
+
+/**
+ * Read the category ID from an ASOS category URL (/cat/?cid=...)
+ * @param {string} url - Listing URL
+ * @returns {string|null} - Category ID or null for search URLs
+ */
+export function extractCategoryId(url) {
+    const u = new URL(url);
+    const cid = u.searchParams.get('cid');
+    return cid && /^\d+$/.test(cid) ? cid : null;
+}
+
+/**
+ * Read the category name from a listing payload, falling back to the page heading
+ * @param {object|null} data - window.asos or __NEXT_DATA__ payload
+ * @param {object} $ - Cheerio instance for the page
+ * @returns {string|null} - Category name
+ */
+export function extractCategoryName(data, $) {
+    const fromData =
+        data?.plp?.categoryName ||
+        data?.plp?.category?.name ||
+        data?.props?.pageProps?.plp?.categoryName ||
+        data?.categoryName ||
+        null;
+    if (fromData) return fromData;
+    const heading = $('h1').first().text().replace(/\s+/g, ' ').trim();
+    return heading || null;
+}
+
+/**
+ * Same listing URL at another page, keeping every other query param
+ * @param {string} currentUrl - Listing URL
+ * @param {number} page - 1-indexed page number
+ * @returns {string}
+ */
+export function pageUrl(currentUrl, page) {
+    const urlObj = new URL(currentUrl);
+    urlObj.searchParams.set('page', String(page));
+    return urlObj.toString();
+}
+
+export function nextPageUrl(currentUrl, pageInfo, productsOnPage) {
+    if (!productsOnPage) return null;
+    const currentPage = pageInfo?.page || Number(new URL(currentUrl).searchParams.get('page') || 1);
+    const totalPages = pageInfo?.totalPages;
+    if (totalPages && currentPage >= totalPages) return null;
+
+    return pageUrl(currentUrl, currentPage + 1);
+}
+
+/**
+ * Extract variants, description, care/material info, gallery, video, 360° spin and breadcrumbs from a product page
+ * @param {string} html - Product detail page HTML
+ * @param {object} $ - Cheerio instance for the page
+ * @returns {object} - Structured product details
+ */
+export function extractProductDetails(html, $) {
+    const config = extractPdpConfig(html);
+    const ldItems = [];
+    $('script[type="application/ld+json"]').each((i, el) => {
+        const parsed = parseJsonSafe($(el).html());
+        if (!parsed) return;
+        const items = Array.isArray(parsed) ? parsed : parsed['@graph'] || [parsed];
+        ldItems.push(...items);
+    });
+
+    const ldProduct = ldItems.find((item) => item['@type'] === 'Product' || item['@type'] === 'ProductGroup') || {};
+    const ldBreadcrumbs = ldItems.find((item) => item['@type'] === 'BreadcrumbList');
+
+    // Section headings ("Product Details", "Look After Me") are dropped; list items and paragraphs become lines
+    const sectionText = (id) => {
+        const section = $(`#${id}, [data-testid="${id}"]`).first().clone();
+        section.find('h1, h2, h3, h4').remove();
+        const blocks = section.find('li, p').map((i, el) => $(el).text().replace(/\s+/g, ' ').trim()).get().filter(Boolean);
+        const text = blocks.length ? blocks.join('\n') : section.text().replace(/\s+/g, ' ').trim();
+        return text || null;
+    };
+
+    const variants = (config?.variants || []).map((v) => ({
+        size: v.size || v.brandSize || v.displaySizeText || null,
+        variant_id: String(v.variantId ?? v.id ?? ''),
+        sku: v.sku || null,
+        in_stock: v.isInStock ?? null,
+    }));
+
+    const ldImages = [].concat(ldProduct.image || []).map((img) => (typeof img === 'string' ? img : img?.url));
+    const configImages = (config?.images || []).map((img) => img.url);
+    const images = [...new Set([...configImages, ...ldImages].filter(Boolean).map((url) => normalizeImageUrl(url)))];
+
+    // Catwalk videos and 360° spins only exist for some products
+    const videoUrl = absoluteMediaUrl(config?.media?.catwalk?.[0]?.url || ldProduct.video?.contentUrl);
+    const spinUrl = absoluteMediaUrl(config?.media?.spinset?.[0]?.url);
+
+    const breadcrumbs = (ldBreadcrumbs?.itemListElement || [])
+        .sort((a, b) => (a.position ?? 0) - (b.position ?? 0))
+        .map((crumb) => ({
+            name: crumb.name || crumb.item?.name || null,
+            url: typeof crumb.item === 'string' ? crumb.item : crumb.item?.['@id'] || null,
+        }))
+        .filter((crumb) => crumb.name);
+
+    return {
+        sku: config?.productCode || ldProduct.sku || null,
+        description: sectionText('productDescriptionDetails') || ldProduct.description || null,
+        sizeAndFit: sectionText('productDescriptionSizeAndFit'),
+        careInfo: sectionText('productDescriptionCareInfo'),
+        materials: sectionText('productDescriptionAboutMe'),
+        variants,
+        images,
+        videoUrl,
+        spinUrl,
+        breadcrumbs,
+    };
+}
+
+/**
+ * Read the window.asos.pdp.config.product payload of a product or group page
+ * @param {string} html - Page HTML
+ * @returns {object|null} - Product config or null
+ */
+export function extractPdpConfig(html) {
+    const match = html.match(/window\.asos\.pdp\.config\.product\s*=\s*(\{[\s\S]*?\});\s*(?:\n|window\.|<\/script>)/);
+    return match ? parseJsonSafe(match[1]) : null;
+}
+
+function infoDivAttr(tile, link, attr) {
+    return tile.find('[class*="productInfo"]').attr(attr) || link.attr(attr) || '';
+}
+
+export function parseDomProducts(html, $) {
+    const products = [];
+    const tiles = $('article, [data-testid="productTile"], li[class*="productTile"]');
+
+    tiles.each((i, el) => {
+        try {
+            const tile = $(el);
+            const link = tile.find('a[class*="productLink"]').first();
+            const href = link.attr('href');
+            if (!href) return;
+
+            const idMatch = href.match(/\/prd\/(\d+)/i) || href.match(/\/grp\/(\d+)/i);
+            const id = idMatch ? idMatch[1] : `dom-${i}`;
+
+            // Description often contains both Brand + Title or just Title
+            const descriptionText = tile.find('p[class*="productDescription"]').text().trim();
+
+            // Images - ASOS lazy-loads tiles, so the real URL may sit in data-src, src or srcset; placeholders are skipped
+            // Tiles without a real image stay without one rather than getting a guessed URL
+            const imageUrls = [];
+            tile.find('img').each((j, imgEl) => {
+                const img = $(imgEl);
+                const srcset = img.attr('srcset') || img.attr('data-srcset') || '';
+                const candidates = [img.attr('data-src'), img.attr('src'), srcset.split(',')[0].trim().split(' ')[0]];
+                const real = candidates.find((src) => src && !src.includes('placeholder') && !src.includes('data:image'));
+                if (real) imageUrls.push(normalizeImageUrl(real));
+            });
+            const [imageUrl = null, ...additionalImageUrls] = [...new Set(imageUrls)];
+            const videoUrl = tile.find('video source[src], video[src]').first().attr('src') || null;
+
+            // Title & Brand
+            const ariaLabel = infoDivAttr(tile, link, 'aria-label');
+
+            // Guess the brand from the title; resolveBrand prefers known brands and only falls back to this guess
+            // ASOS titles follow: "Brand Name product description"
+            // Brand is capitalized, product description starts with lowercase
+            let brandName = null;
+            if (descriptionText) {
+                // Special case for adidas brands (handles both capitalized and lowercase)
+                // Examples: "adidas performance", "adidas Running", "adidas Originals"
+                const adidasMatch = descriptionText.match(/^adidas\s+([A-Za-z]+)/i);
+                if (adidasMatch) {
+                    // Capitalize properly: "adidas Performance", "adidas Running"
+                    const subBrand = adidasMatch[1].charAt(0).toUpperCase() + adidasMatch[1].slice(1).toLowerCase();
+                    brandName = `adidas ${subBrand}`;
+                } else {
+                    // Match only capitalized words, stop at first lowercase word or common product descriptor
+                    // This handles: "New Balance", "Polo Ralph Lauren", "ASOS DESIGN"
+                    // But removes product words like: "Maxwell", "Marland", "Gorham"
+                    const brandMatch = descriptionText.match(/^([A-Z][A-Za-z]*(?:\s+[A-Z][A-Za-z]*)*?)\s+[a-z]/);
+                    if (brandMatch) {
+                        brandName = brandMatch[1].trim();
+                        // Remove common product line names (single capitalized word at end)
+                        // Keep multi-word brands: "Polo Ralph Lauren" but remove "Maxwell"
+                        const words = brandName.split(' ');
+                        if (words.length > 2 && words[words.length - 1].match(/^[A-Z][a-z]+$/)) {
+                            // If last word is title case and brand has 3+ words, check if it's a product line
+                            const lastWord = words[words.length - 1];
+                            if (lastWord !== 'Lauren' && lastWord !== 'London' && !lastWord.match(/^(Co|Inc|Ltd|DESIGN|Collection)$/)) {
+                                brandName = words.slice(0, -1).join(' ');
+                            }
+                        }
+                    } else {
+                        // Fallback: if entire title is capitalized (like "ASOS DESIGN")
+                        const fallbackMatch = descriptionText.match(/^([A-Z][A-Z\s&]+)/);
+                        if (fallbackMatch) {
+                            brandName = fallbackMatch[1].trim().split(/\s{2,}/)[0]; // Stop at double space
+                        }
+                    }
+                    
+                    // Additional fallback: extract first 2-4 capitalized words if still no brand
+                    if (!brandName) {
+                        const capitalWords = descriptionText.match(/^([A-Z][A-Za-z]+(?:\s+[A-Z&][A-Za-z]*){0,3})/);
+                        if (capitalWords) {
+                            const extracted = capitalWords[1].trim();
+                            // Stop before size indicators or common modifiers
+                            const cleanBrand = extracted.replace(/\s+(Big|Tall|Plus|Size|Collection).*$/i, '').trim();
+                            if (cleanBrand.length > 2) {
+                                brandName = cleanBrand;
+                            }
+                        }
+                    }
+                }
+            }
+
+            // Prices - extract both current and previous (was) prices
+            const priceSection = tile.find('span[class*="price"]').first().parent();
+            const currentPriceText = tile.find('span[data-testid="current-price"]').text() ||
+                tile.find('span[class*="currentPrice"]').text() ||
+                tile.find('span[class*="saleAmount"]').text() ||
+                tile.find('span[class*="price"]').first().text();
+
+            // Previous, was and RRP prices are separate price points; outlet tiles often show the RRP next to a previous price
+            const previousPriceText = tile.find('span[data-testid="previous-price"]').text() ||
+                tile.find('span[class*="previousPrice"]').text() ||
+                null;
+            const wasPriceText = tile.find('span[class*="wasPrice"]').text() ||
+                priceSection.find('span:contains("Was")').text().replace(/Was\s*/i, '') ||
+                null;
+            const rrpPriceText = tile.find('span[data-testid="rrp-price"]').text() ||
+                tile.find('span[class*="rrpPrice"]').text() ||
+                priceSection.find('span:contains("RRP")').text() ||
+                null;
+
+            const priceVal = parsePriceText(currentPriceText);
+            const previousPriceVal = parsePriceText(previousPriceText);
+            const wasPriceVal = parsePriceText(wasPriceText);
+            const rrpPriceVal = parsePriceText(rrpPriceText);
+            const originalPriceVal = previousPriceVal ?? wasPriceVal ?? rrpPriceVal;
+
+            // Aria-label is usually "Title, current price $XX, original price $YY"
+            let title = descriptionText;
+            if (!title && ariaLabel) {
+                title = ariaLabel.split(/current price|Original price/i)[0].replace(/,$/, '').trim();
+            }
+
+            // Clean title if it contains price
+            if (title && priceVal) {
+                title = title.replace(/\s*[£$€]\d+\.\d+.*$/, '').trim();
+            }
+
+            // Currency
+            let currency = null;
+            if (currentPriceText) {
+                const currencyMatch = currentPriceText.match(/[$£€]/);
+                if (currencyMatch) currency = currencyMatch[0];
+            }
+
+            // Try to extract color from title or aria-label
+            // Colors appear as "in [color]" but stop before extra descriptors
+            let color = null;
+
+            // First try from title/description
+            if (title || descriptionText) {
+                const text = title || descriptionText;
+                // Match "in [color]" but stop at common separators
+                const colorMatch = text.match(/\s+in\s+([a-z][a-z\s/-]+?)(?:\s+(?:with|Exclusive|nubuck|leather|suede|fabric|-|$)|$)/i);
+                if (colorMatch) {
+                    color = colorMatch[1].trim();
+                    // Clean up: remove trailing material words
+                    color = color.replace(/\s+(leather|suede|nubuck|fabric|material|print|croc)$/i, '').trim();
+                }
+            }
+
+            // Fallback: try aria-label
+            if (!color && ariaLabel) {
+                const colorMatch = ariaLabel.match(/\s+in\s+([a-z][a-z\s/-]+?)(?:,|\s+current|\s+with|$)/i);
+                if (colorMatch) {
+                    color = colorMatch[1].trim();
+                    color = color.replace(/\s+(leather|suede|nubuck|fabric|material)$/i, '').trim();
+                }
+            }
+
+            // Badge / Product Type - extract and clean up
+            const badgeElements = tile.find('div[class*="sellingFast"], span[class*="overlay"], div[class*="badge"], span[class*="badge"], [class*="outletLabel"]');
+            let badges = [];
+
+            badgeElements.each((idx, el) => {
+                const badgeText = $(el).text().trim();
+                if (badgeText && badgeText.length > 0) {
+                    badges.push(badgeText);
+                }
+            });
+
+            // Clean and deduplicate badges
+            badges = [...new Set(badges)];
+            const badge = badges.length > 0 ? badges.join(' | ') : null;
+
+            products.push({
+                id,
+                name: title,
+                url: href,
+                imageUrl,
+                additionalImageUrls,
+                videoUrl,
+                price: {
+                    current: { value: priceVal, text: currentPriceText },
+                    previous: { value: previousPriceVal, text: previousPriceText },
+                    was: { value: wasPriceVal, text: wasPriceText },
+                    rrp: { value: rrpPriceVal, text: rrpPriceText },
+                    isMarkedDown: originalPriceVal && priceVal && originalPriceVal > priceVal,
+                },
+                brandName: brandName,
+                brandSource: brandName ? 'heuristic' : null,
+                colour: color,
+                isMarkedDown: originalPriceVal && priceVal && originalPriceVal > priceVal,
+                currency: currency,
+                badge: badge,
+                productType: badge,
+                badges: badge ? [{ text: badge }] : [],
+                isGroup: /\/grp\/\d+/i.test(href),
+                hasVariantColours: badges.some((b) => /more\s*colou?rs/i.test(b)),
+            });
+        } catch (e) {
+            // Ignore (log.debug(e.message) if needed)
+        }
+    });
+
+    return products;
+}
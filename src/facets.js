@@ -0,0 +1,199 @@
+// Facet refinements - API refine parameters and the equivalent client-side filters
+import { discountAgainst, isOutletProduct, referencePrice } from './pricing.js';
+import { extractPriceValue } from './utils.js';
+
+// Which API facet each filter input refines
+const FACET_MATCHERS = {
+    brands: (facet) => facet.id === 'brand' || /brand/i.test(facet.name),
+    colours: (facet) => facet.id === 'base_colour' || /colou?r/i.test(facet.name),
+    sizes: (facet) => /^size/i.test(facet.id) || /size/i.test(facet.name),
+    productTypes: (facet) => /product\s*type/i.test(facet.name),
+};
+
+// Facets that narrow sale and discount filters down on the API; the exact discount is still checked per product
+const isSaleFacet = (facet) => /\bsale\b/i.test(facet.name) || /\bsale\b/i.test(facet.id);
+const isDiscountFacet = (facet) => /discount/i.test(facet.id) || /discount/i.test(facet.name);
+
+/**
+ * Normalize raw API facets into names, values and counts
+ * @param {Array} rawFacets - `facets` array from the search/category API
+ * @returns {Array} - Facets as { id, name, values: [{ id, name, count }] }
+ */
+export function normalizeFacets(rawFacets = []) {
+    return rawFacets.map((facet) => ({
+        id: facet.id,
+        name: facet.name || facet.id,
+        values: (facet.facetValues || facet.values || []).map((value) => ({
+            id: String(value.id),
+            name: value.name,
+            count: value.count ?? null,
+        })),
+    }));
+}
+
+/**
+ * Build filter settings from actor input
+ * @param {object} input - Actor input
+ * @returns {object} - Normalized filters
+ */
+export function buildFilters(input = {}) {
+    const list = (values) => (values || []).map((v) => String(v).trim()).filter(Boolean);
+    const number = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+    return {
+        brands: list(input.brands),
+        colours: list(input.colours),
+        sizes: list(input.sizes),
+        productTypes: list(input.productTypes),
+        saleOnly: Boolean(input.saleOnly),
+        outletOnly: Boolean(input.outletOnly),
+        fullPriceOnly: Boolean(input.fullPriceOnly),
+        minDiscount: number(input.minDiscount),
+        maxDiscount: number(input.maxDiscount),
+    };
+}
+
+/**
+ * Whether the filters only keep discounted products, which lets the API's sale or discount facets narrow the listing
+ * @param {object} filters - Output of buildFilters
+ * @returns {boolean}
+ */
+function requiresDiscount(filters) {
+    return filters.saleOnly || filters.minDiscount > 0;
+}
+
+/**
+ * Whether any facet-backed filter (brand, colour, size, product type, sale or minimum discount) is set
+ * @param {object} filters - Output of buildFilters
+ * @returns {boolean}
+ */
+export function hasFacetFilters(filters) {
+    return Object.keys(FACET_MATCHERS).some((key) => filters[key].length > 0) || requiresDiscount(filters);
+}
+
+/**
+ * Percent range of a discount facet value, e.g. "20% - 30%", "Up to 30%" or "70% and more"
+ * @param {string} name - Facet value name
+ * @returns {number[]|null} - [min, max], or null for a name without a percentage
+ */
+export function discountRange(name) {
+    const numbers = (String(name ?? '').match(/\d+/g) || []).map(Number);
+    if (!numbers.length) return null;
+    if (numbers.length > 1) return [Math.min(...numbers), Math.max(...numbers)];
+    return /up to|under|less|below/i.test(name) ? [0, numbers[0]] : [numbers[0], 100];
+}
+
+/**
+ * Refinement part for sale and discount filters: the discount bands that overlap the wanted discount range, or the
+ * sale value of a sale facet. Full-price products have no discount band, so only filters that require a discount
+ * refine; maxDiscount alone stays client-side
+ * @param {Array} facets - Output of normalizeFacets
+ * @param {object} filters - Output of buildFilters
+ * @returns {string|null}
+ */
+function discountRefinement(facets, filters) {
+    if (!requiresDiscount(filters)) return null;
+    const min = Math.max(filters.minDiscount ?? 0, 1);
+    const max = filters.maxDiscount ?? 100;
+
+    const discountFacet = facets.find(isDiscountFacet);
+    const bands = (discountFacet?.values || []).filter((value) => {
+        const range = discountRange(value.name);
+        return range && range[1] >= min && range[0] <= max;
+    });
+    if (bands.length) return `${discountFacet.id}:${bands.map((value) => value.id).join(',')}`;
+
+    const saleFacet = facets.find(isSaleFacet);
+    const sale = saleFacet?.values.find((value) => /^sale$/i.test(value.name?.trim() || ''));
+    return sale ? `${saleFacet.id}:${sale.id}` : null;
+}
+
+/**
+ * Translate filters into the API `refine` parameter using the facet values of the listing; sale and discount filters
+ * never count as unmatched, since they are checked per product either way
+ * @param {Array} facets - Output of normalizeFacets
+ * @param {object} filters - Output of buildFilters
+ * @returns {{ refine: string|null, unmatched: string[] }} - Refine string and filter values with no facet match
+ */
+export function buildRefinement(facets, filters) {
+    const parts = [];
+    const unmatched = [];
+
+    for (const [key, matches] of Object.entries(FACET_MATCHERS)) {
+        const wanted = filters[key];
+        if (!wanted.length) continue;
+
+        const facet = facets.find(matches);
+        const ids = [];
+        for (const name of wanted) {
+            const value = facet?.values.find((v) => v.name?.toLowerCase() === name.toLowerCase());
+            if (value) ids.push(value.id);
+            else unmatched.push(name);
+        }
+        if (facet && ids.length) parts.push(`${facet.id}:${ids.join(',')}`);
+    }
+
+    const discount = discountRefinement(facets, filters);
+    if (discount) parts.push(discount);
+
+    return { refine: parts.length ? parts.join('|') : null, unmatched };
+}
+
+/**
+ * Discount of the current price against the previous/was/RRP price, in percent
+ * @param {object} price - Product price object
+ * @returns {number|null}
+ */
+export function discountPercent(price) {
+    return discountAgainst(extractPriceValue(price), referencePrice(price));
+}
+
+/**
+ * Client-side equivalent of the facet refinements for window.asos, __NEXT_DATA__ and DOM results
+ * @param {object} p - Product from listing extraction
+ * @param {object} filters - Output of buildFilters
+ * @param {object} options - `refinedByApi` skips checks the API already applied
+ * @returns {boolean} - Whether the product passes every filter
+ */
+export function passesFilters(p, filters, { refinedByApi = false } = {}) {
+    const title = (p.name || p.title || '').toLowerCase();
+
+    if (!refinedByApi) {
+        if (filters.brands.length) {
+            const brand = (p.brandName || p.brand?.name || p.brand || '').toLowerCase();
+            const ok = filters.brands.some((b) => {
+                const wanted = b.toLowerCase();
+                return brand ? brand === wanted || brand.startsWith(`${wanted} `) : title.startsWith(wanted);
+            });
+            if (!ok) return false;
+        }
+
+        if (filters.colours.length) {
+            const colour = String(p.colour || p.color || p.colourWayLabel || '').toLowerCase();
+            const ok = filters.colours.some((c) => {
+                const wanted = c.toLowerCase();
+                return colour ? colour.includes(wanted) : title.includes(` ${wanted}`);
+            });
+            if (!ok) return false;
+        }
+
+        if (filters.productTypes.length) {
+            const type = (p.productType && p.productType !== 'Product' ? p.productType : '').toLowerCase();
+            const ok = filters.productTypes.some((t) => {
+                const wanted = t.toLowerCase();
+                return type === wanted || title.includes(wanted);
+            });
+            if (!ok) return false;
+        }
+    }
+
+    const isSale = Boolean(p.isMarkedDown || p.price?.isMarkedDown);
+    const discount = discountPercent(p.price);
+    if (filters.saleOnly && !isSale && !discount) return false;
+    if (filters.outletOnly && !isOutletProduct(p)) return false;
+    // Full price means neither reduced nor sold through the outlet
+    if (filters.fullPriceOnly && (isSale || discount || isOutletProduct(p))) return false;
+    if (filters.minDiscount != null && (discount ?? 0) < filters.minDiscount) return false;
+    if (filters.maxDiscount != null && (discount ?? 0) > filters.maxDiscount) return false;
+
+    return true;
+}
@@ -0,0 +1,158 @@
+// Price history - remembers products across runs and classifies what changed since the last one
+import { Actor } from 'apify';
+
+import { referencePrice } from './pricing.js';
+import { extractPriceValue } from './utils.js';
+
+/**
+ * Open the named key-value store holding price history and load one record per storefront
+ * @param {string} storeName - Named key-value store that survives between runs
+ * @param {string[]} storeKeys - Storefronts scraped in this run
+ * @returns {Promise<object>} - History with the opened store and an entries map per storefront
+ */
+export async function openPriceHistory(storeName, storeKeys) {
+    const kvStore = await Actor.openKeyValueStore(storeName);
+    const entries = new Map();
+    for (const key of storeKeys) {
+        entries.set(key, (await kvStore.getValue(`HISTORY-${key}`)) || {});
+    }
+    return { kvStore, entries };
+}
+
+/**
+ * Persist every loaded storefront's history back to the key-value store
+ * @param {object} history - Output of openPriceHistory
+ */
+export async function savePriceHistory(history) {
+    for (const [key, entries] of history.entries) {
+        await history.kvStore.setValue(`HISTORY-${key}`, entries);
+    }
+}
+
+/**
+ * Reduce a listing product to the fields compared between runs
+ * @param {object} p - Product from listing extraction
+ * @returns {object} - Price, original price, sale flag and stock
+ */
+export function snapshotProduct(p) {
+    const price = extractPriceValue(p.price);
+    const originalPrice = referencePrice(p.price);
+    return {
+        price,
+        original_price: originalPrice,
+        is_sale: Boolean(p.isMarkedDown || p.price?.isMarkedDown || (originalPrice && price && originalPrice > price)),
+        in_stock: p.isNoSize ? false : (p.isInStock ?? true),
+    };
+}
+
+/**
+ * Whether the original price or sale flag moved while the current price stayed; entries saved before these fields
+ * were stored do not count as changed
+ * @param {object} previous - History entry from the previous run
+ * @param {object} snapshot - Output of snapshotProduct
+ * @returns {boolean}
+ */
+function saleChanged(previous, snapshot) {
+    if ('original_price' in previous && previous.original_price !== snapshot.original_price) return true;
+    return 'is_sale' in previous && previous.is_sale !== snapshot.is_sale;
+}
+
+/**
+ * Compare a product with its previous run and update the history entry in place
+ * @param {object} history - Output of openPriceHistory
+ * @param {string} storeKey - Storefront the product was found in
+ * @param {object} record - Final output record (product_id, title, product_url, query)
+ * @param {object} snapshot - Output of snapshotProduct
+ * @param {string} now - ISO timestamp of this run
+ * @returns {object} - change_type, previous_price, first_seen and last_seen for the record
+ */
+export function detectChange(history, storeKey, record, snapshot, now) {
+    const entries = history.entries.get(storeKey);
+    const previous = entries[record.product_id];
+
+    // Found again by another query in this run: report the same change as the first time
+    if (previous?.last_seen === now) return previous.last_change;
+
+    let changeType = 'unchanged';
+    if (!previous) changeType = 'new';
+    else if (previous.removed || (!previous.in_stock && snapshot.in_stock)) changeType = 'back_in_stock';
+    else if (previous.price != null && snapshot.price != null && snapshot.price < previous.price) changeType = 'price_drop';
+    else if (previous.price != null && snapshot.price != null && snapshot.price > previous.price) changeType = 'price_rise';
+    else if (saleChanged(previous, snapshot)) changeType = 'sale_change';
+
+    const change = {
+        change_type: changeType,
+        previous_price: previous?.price ?? null,
+        first_seen: previous?.first_seen || now,
+        last_seen: now,
+    };
+    entries[record.product_id] = {
+        title: record.title,
+        product_url: record.product_url,
+        query: record.query ?? previous?.query ?? null,
+        ...snapshot,
+        first_seen: change.first_seen,
+        last_seen: now,
+        last_change: change,
+        removed: false,
+    };
+
+    return change;
+}
+
+/**
+ * Compact change entry for the changes dataset: identity, the change and the prices it compares
+ * @param {object} record - Final output record after detectChange
+ * @param {string} storeKey - Storefront the product was found in
+ * @param {object} snapshot - Output of snapshotProduct
+ * @param {string} now - ISO timestamp of this run
+ * @returns {object}
+ */
+export function changeEntry(record, storeKey, snapshot, now) {
+    return {
+        product_id: record.product_id,
+        title: record.title,
+        store: storeKey,
+        product_url: record.product_url,
+        query: record.query ?? null,
+        change_type: record.change_type,
+        price: snapshot.price,
+        previous_price: record.previous_price,
+        original_price: snapshot.original_price,
+        is_sale: snapshot.is_sale,
+        first_seen: record.first_seen,
+        last_seen: record.last_seen,
+        run_started_at: now,
+    };
+}
+
+/**
+ * Flag products that were found by one of this run's queries before but not in this run
+ * @param {object} history - Output of openPriceHistory
+ * @param {Array} queries - Queries of this run as { store, value }
+ * @param {string} now - ISO timestamp of this run
+ * @returns {Array} - Records with change_type 'removed'
+ */
+export function collectRemoved(history, queries, now) {
+    const removed = [];
+    for (const [storeKey, entries] of history.entries) {
+        const queryValues = new Set(queries.filter((q) => q.store === storeKey).map((q) => q.value));
+        for (const [productId, entry] of Object.entries(entries)) {
+            if (entry.removed || entry.last_seen === now || !queryValues.has(entry.query)) continue;
+            entry.removed = true;
+            removed.push({
+                product_id: productId,
+                title: entry.title,
+                store: storeKey,
+                product_url: entry.product_url,
+                query: entry.query,
+                change_type: 'removed',
+                previous_price: entry.price,
+                first_seen: entry.first_seen,
+                last_seen: entry.last_seen,
+                run_started_at: now,
+            });
+        }
+    }
+    return removed;
+}
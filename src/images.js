@@ -0,0 +1,91 @@
+// Product media - full image galleries with ASOS image service sizing, and optional checks that image URLs resolve
+import { gotScraping } from 'got-scraping';
+
+import { normalizeImageUrl } from './utils.js';
+
+// Output formats the ASOS image service converts to through its fmt param
+export const IMAGE_FORMATS = ['jpg', 'png', 'webp', 'avif'];
+
+/**
+ * Reject image options the image service cannot serve, before the run starts
+ * @param {object} options - { size, format } from input
+ */
+export function validateImageOptions({ size, format } = {}) {
+    if (size != null && !(Number.isInteger(+size) && +size > 0)) {
+        throw new Error(`Invalid imageSize "${size}". Use a width in pixels, e.g. 800.`);
+    }
+    if (format != null && !IMAGE_FORMATS.includes(format)) {
+        throw new Error(`Unknown imageFormat "${format}". Use one of: ${IMAGE_FORMATS.join(', ')}.`);
+    }
+}
+
+/**
+ * Absolute URL for media outside the image service, e.g. catwalk videos and 360° spins
+ * @param {string} url - URL or bare host path as found in payloads
+ * @returns {string|null}
+ */
+export function absoluteMediaUrl(url) {
+    if (!url) return null;
+    const clean = String(url).trim();
+    if (clean.startsWith('//')) return `https:${clean}`;
+    return /^https?:\/\//i.test(clean) ? clean : `https://${clean.replace(/^\/+/, '')}`;
+}
+
+/**
+ * Every distinct image of a product in source order, sized and converted as requested
+ * @param {Array} sources - Image URLs, or image objects with a `url`
+ * @param {object} options - { size, format } passed to normalizeImageUrl
+ * @returns {string[]}
+ */
+export function collectImages(sources, options = {}) {
+    const urls = sources.map((source) => normalizeImageUrl(typeof source === 'string' ? source : source?.url, options));
+    return [...new Set(urls.filter(Boolean))];
+}
+
+/**
+ * Create an empty cache of checked image URLs
+ * @returns {object} - Check results keyed by URL
+ */
+export function createImageCheck() {
+    return { results: new Map() };
+}
+
+/**
+ * Send a HEAD request for an image URL; network errors count as not resolving
+ * @param {string} url - Image URL
+ * @param {string} proxyUrl - Proxy of the crawler request
+ * @returns {Promise<boolean>}
+ */
+async function imageResolves(url, proxyUrl) {
+    try {
+        const response = await gotScraping({
+            url,
+            method: 'HEAD',
+            proxyUrl,
+            throwHttpErrors: false,
+            timeout: { request: 15000 },
+            retry: { limit: 1 },
+        });
+        return response.statusCode < 400;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Keep only the image URLs that resolve; each URL is requested once per run
+ * @param {object} check - Output of createImageCheck
+ * @param {string[]} urls - Image URLs
+ * @param {object} transport - { proxyUrl } of the crawler request
+ * @returns {Promise<string[]>} - Resolving URLs, in their original order
+ */
+export async function verifyImageUrls(check, urls, { proxyUrl } = {}) {
+    const resolves = await Promise.all(
+        urls.map((url) => {
+            // The pending request is cached so records sharing an image wait for the same check
+            if (!check.results.has(url)) check.results.set(url, imageResolves(url, proxyUrl));
+            return check.results.get(url);
+        }),
+    );
+    return urls.filter((url, i) => resolves[i]);
+}
@@ -1,158 +1,47 @@
-// ASOS Product Scraper - Production-Ready Listing-Only Extractor
-// Optimized for speed and stealth - extracts complete data from listing pages only
+// ASOS Product Scraper - Production-Ready Listing Extractor
+// Optimized for speed and stealth - extracts complete data from listing pages, with opt-in detail page enrichment
+import { setTimeout as sleep } from 'node:timers/promises';
+
 import { Actor, log } from 'apify';
 import { CheerioCrawler, Dataset } from 'crawlee';
 import { HeaderGenerator } from 'header-generator';
-import { gotScraping } from 'got-scraping';
-import vm from 'node:vm';
-
-await Actor.init();
-
-// ========================================
-// API CLIENT FUNCTIONS (Merged from api-client.js)
-// ========================================
-
-/**
- * Fetch products from ASOS Search API
- * @param {string} keyword - Search keyword
- * @param {number} page - Page number (0-indexed for API)
- * @param {object} options - Additional options (store, currency, sort, etc.)
- * @returns {Promise<object>} - API response with products array
- */
-async function fetchSearchAPI(keyword, page = 0, options = {}) {
-    const {
-        store = 'US',
-        currency = 'USD',
-        lang = 'en-US',
-        limit = 72,
-        sortBy = 'pricedesc',
-    } = options;
-
-    const offset = page * limit;
-    const url = new URL('https://www.asos.com/api/product/search/v2/categories');
-
-    url.searchParams.set('q', keyword);
-    url.searchParams.set('store', store);
-    url.searchParams.set('lang', lang);
-    url.searchParams.set('currency', currency);
-    url.searchParams.set('offset', String(offset));
-    url.searchParams.set('limit', String(limit));
-    url.searchParams.set('country', store);
-    url.searchParams.set('keyStoreDataversion', 'ornjx7v-35');
-
-    if (sortBy) {
-        url.searchParams.set('sort', sortBy);
-    }
-
-    try {
-        log.info(`Fetching ASOS Search API: ${keyword} (page ${page})`);
-
-        const response = await gotScraping({
-            url: url.toString(),
-            method: 'GET',
-            headers: buildApiHeaders(),
-            responseType: 'json',
-            timeout: { request: 30000 },
-            retry: { limit: 2 },
-        });
-
-        const data = response.body;
-
-        if (!data || !data.products) {
-            log.warning('API response missing products array');
-            return { products: [], itemCount: 0 };
-        }
 
-        log.info(`✓ API returned ${data.products?.length || 0} products`);
-        return {
-            products: data.products || [],
-            itemCount: data.itemCount || 0,
-            facets: data.facets || [],
-            pagination: {
-                page: Math.floor(offset / limit),
-                pageSize: limit,
-                totalResults: data.itemCount || 0,
-                totalPages: Math.ceil((data.itemCount || 0) / limit),
-            },
-        };
-    } catch (error) {
-        log.debug(`ASOS Search API failed: ${error.message}`);
-        return { products: [], itemCount: 0, error: error.message };
-    }
-}
-
-/**
- * Build realistic headers for API requests
- * @returns {object} - Headers object
- */
-function buildApiHeaders() {
-    return {
-        'accept': 'application/json, text/plain, */*',
-        'accept-language': 'en-US,en;q=0.9',
-        'asos-c-name': 'asos-web-product-listing-page',
-        'asos-cid': 'web-product-listing-page',
-        'cache-control': 'no-cache',
-        'pragma': 'no-cache',
-        'referer': 'https://www.asos.com/search/',
-        'sec-ch-ua': '"Not_A Brand";v="8", "Chromium";v="120", "Google Chrome";v="120"',
-        'sec-ch-ua-mobile': '?0',
-        'sec-ch-ua-platform': '"Windows"',
-        'sec-fetch-dest': 'empty',
-        'sec-fetch-mode': 'cors',
-        'sec-fetch-site': 'same-origin',
-        'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-    };
-}
+import { fetchCategoryAPI, fetchProductSummaries, fetchSearchAPI, fetchStockPrice, fetchStockPrices, normalizeApiProduct } from './api.js';
+import { BLOCKED_STATUS_CODES, BlockedError, blockRates, createBackoff, detectBlock, isBlockError, recordOutcome } from './blocking.js';
+import { createBrandIndex, learnBrands, learnBrandsFromFacets, learnBrandsFromProducts, resolveBrand } from './brands.js';
+import { capturePage, createDebugCapture } from './debug.js';
+import { downloadImages as downloadProductImages, openImageStore, saveImageStore } from './downloads.js';
+import { exportRecords, validateExportOptions } from './export.js';
+import {
+    extractCategoryId,
+    extractCategoryName,
+    extractNextData,
+    extractPagination,
+    extractPaginationFromUrl,
+    extractProductDetails,
+    extractWindowAsos,
+    getProductsFromWindow,
+    nextPageUrl,
+    pageUrl,
+    parseDomProducts,
+} from './extract.js';
+import { buildFilters, buildRefinement, hasFacetFilters, normalizeFacets, passesFilters } from './facets.js';
+import { changeEntry, collectRemoved, detectChange, openPriceHistory, savePriceHistory, snapshotProduct } from './history.js';
+import { createImageCheck, validateImageOptions, verifyImageUrls } from './images.js';
+import { isOutletUrl } from './pricing.js';
+import { checkHealth, createRunReport, recordFailure, recordPage, recordSaved, summarizeRunReport, validateHealthThresholds } from './report.js';
+import { listingRequest, startRequest } from './requests.js';
+import { loadReviews, reviewFields } from './reviews.js';
+import { restoreQueries, snapshotProgress } from './state.js';
+import { absoluteUrl, detectStoreKey, resolveStore } from './stores.js';
+import { expandKeyword, flattenSuggestionTree } from './suggestions.js';
+import { mergeProductDetails, pricePasses, transformToFinalFormat } from './transform.js';
+import { listingApiParams, listingHtmlUrl, parseAsosUrl } from './urls.js';
+import { mapWithConcurrency } from './utils.js';
+import { extractGroupMemberIds, loadColourways } from './variants.js';
+import { applyStockPrice, buildWatchlist, flagMissingProduct, toBatches, watchStatus } from './watchlist.js';
 
-/**
- * Normalize API product data to consistent format
- * @param {object} product - Raw API product object
- * @returns {object} - Normalized product
- */
-function normalizeApiProduct(product) {
-    if (!product) return null;
-
-    const id = String(product.id || product.productId || '');
-    const price = product.price || {};
-    const currentPrice = price.current?.value ?? price.value ?? null;
-    const previousPrice = price.previous?.value ?? price.rrp?.value ?? price.was?.value ?? null;
-
-    // Support both 'imageUrl' and 'image' (which often contains the relative path)
-    const rawImage = product.imageUrl || product.image || product.images?.[0]?.url || product.media?.images?.[0]?.url || null;
-
-    return {
-        id,
-        name: product.name || product.title || null,
-        brandName: product.brandName || product.brand?.name || product.brand || null,
-        price: {
-            current: {
-                value: currentPrice,
-                text: price.current?.text || (currentPrice ? `${price.currency || ''}${currentPrice}` : null),
-            },
-            previous: {
-                value: previousPrice,
-                text: previousPrice ? `${price.currency || ''}${previousPrice}` : null,
-            },
-            was: {
-                value: price.was?.value ?? null,
-            },
-            rrp: {
-                value: price.rrp?.value ?? null,
-            },
-            currency: price.currency || 'USD',
-            isMarkedDown: price.isMarkedDown || (previousPrice && currentPrice && previousPrice > currentPrice) || false,
-        },
-        url: product.url?.startsWith('http') ? product.url : `https://www.asos.com${product.url || ''}`,
-        imageUrl: normalizeImageUrl(rawImage),
-        images: product.images || [],
-        colour: product.colour || product.colourWayId || product.color || product.colourWayLabel || null,
-        isInStock: product.isInStock ?? !product.isNoSize ?? true,
-        isMarkedDown: price.isMarkedDown || (previousPrice && currentPrice && previousPrice > currentPrice) || false,
-        productCode: product.productCode || product.sku || null,
-        badges: product.badges || [],
-        productType: product.productType || null,
-    };
-}
+await Actor.init();
 
 // ========================================
 // MAIN SCRAPER LOGIC
@@ -161,776 +50,1318 @@ function normalizeApiProduct(product) {
 const input = (await Actor.getInput()) || {};
 const {
     keyword,
+    keywords: keywordsInput = [],
+    expandKeywords = false,
+    expansionDepth = 1,
+    maxSuggestions = 10,
     startUrl,
+    startUrls: startUrlsInput = [],
+    categoryIds: categoryIdsInput = [],
+    productIds: productIdsInput = [],
+    productUrls: productUrlsInput = [],
+    store: storeInput = 'US',
+    stores: storesInput,
+    currency: currencyInput,
+    language: languageInput,
     minPrice,
     maxPrice,
     sortBy = 'pricedesc',
     resultsWanted: resultsWantedRaw = 20,
+    dedupeScope = 'query',
+    mode = 'auto',
+    exportFacets = false,
+    scrapeDetails = false,
+    expandColourways = false,
+    brandAliases = {},
+    includeReviews = false,
+    maxReviews = 0,
+    reviewsDatasetName = 'asos-reviews',
+    imageSize = null,
+    imageFormat = null,
+    verifyImages = false,
+    downloadImages = false,
+    imageStoreName = 'asos-product-images',
+    outputFormat = 'legacy',
+    trackChanges = false,
+    historyStoreName = 'asos-price-history',
+    changesDatasetName = 'asos-price-changes',
+    exportFormats = [],
+    exportColumns = [],
+    exportExclude = [],
+    exportArrays = 'join',
+    healthThresholds = {},
+    debugMode = false,
     proxyConfiguration: proxyInput,
 } = input;
 
 const resultsWanted = Number.isFinite(+resultsWantedRaw) ? Math.max(1, +resultsWantedRaw) : 20;
 
-// Validate that either keyword or startUrl is provided
-if (!keyword && !startUrl) {
-    throw new Error('Either "keyword" or "startUrl" must be provided. Please specify a search keyword or a direct ASOS URL to scrape.');
+if (!['api', 'html', 'auto'].includes(mode)) {
+    throw new Error(`Unknown mode "${mode}". Use "api", "html" or "auto".`);
 }
 
-const searchKeyword = keyword || 'men'; // Default fallback for internal use
+validateHealthThresholds(healthThresholds);
 
-log.info(`Starting ASOS scraper for ${keyword ? `keyword: "${keyword}"` : `URL: ${startUrl}`}, results wanted: ${resultsWanted}`);
+if (![1, 2].includes(expansionDepth)) {
+    throw new Error(`Invalid expansionDepth ${expansionDepth}. Use 1 (suggestions of each keyword) or 2 (also their suggestions).`);
+}
 
-const headerGenerator = new HeaderGenerator({
-    browsers: [{ name: 'chrome', minVersion: 120, httpVersion: '2' }],
-    devices: ['desktop'],
-    operatingSystems: ['windows'],
-    locales: ['en-US'],
-});
+// Image URLs ask the ASOS image service for this width and format
+const imageOptions = { size: imageSize, format: imageFormat };
+validateImageOptions(imageOptions);
 
-const proxyConfiguration = await Actor.createProxyConfiguration(
-    proxyInput || { useApifyProxy: true, apifyProxyGroups: ['RESIDENTIAL'] },
-);
-
-const buildSearchUrl = (page = 1) => {
-    const url = new URL('https://www.asos.com/search/');
-    url.searchParams.set('q', searchKeyword);
-    url.searchParams.set('page', String(page));
-    if (sortBy) url.searchParams.set('sort', sortBy);
-    return url.toString();
-};
+validateExportOptions({ formats: exportFormats, columns: exportColumns, arrays: exportArrays });
 
-const seenIds = new Set();
-let saved = 0;
-let shouldStop = false; // Global flag to stop crawling
+const filters = buildFilters(input);
+if (filters.fullPriceOnly && (filters.outletOnly || filters.saleOnly)) {
+    throw new Error('"fullPriceOnly" cannot be combined with "outletOnly" or "saleOnly".');
+}
+const facetFiltersActive = hasFacetFilters(filters);
+
+// Single-value inputs are kept for backwards compatibility and merged into the arrays. Used on their own, startUrl
+// still overrides keyword, as both are prefilled and older saved inputs set both
+const uniqueList = (values) => [...new Set(values.map((v) => String(v ?? '').trim()).filter(Boolean))];
+const legacyStartUrlOverride = Boolean(String(startUrl ?? '').trim()) && !keywordsInput.length && !startUrlsInput.length;
+const keywords = uniqueList([legacyStartUrlOverride ? null : keyword, ...keywordsInput]);
+const startUrls = uniqueList([startUrl, ...startUrlsInput.map((entry) => (typeof entry === 'string' ? entry : entry?.url))]);
+const categoryIds = uniqueList(categoryIdsInput);
+const productIds = uniqueList(productIdsInput);
+const productUrls = uniqueList(productUrlsInput.map((entry) => (typeof entry === 'string' ? entry : entry?.url)));
+
+// Validate that a keyword, startUrl, category or watched product is provided
+if (!keywords.length && !startUrls.length && !categoryIds.length && !productIds.length && !productUrls.length) {
+    throw new Error('Either "keywords", "startUrls", "categoryIds", "productIds" or "productUrls" must be provided. Please specify a search keyword, a direct ASOS URL, an ASOS category ID or the products to watch.');
+}
 
-// Track extraction methods for monitoring
-const extractionStats = {
-    windowAsos: 0,
-    restApi: 0,
-    nextData: 0,
-    domParsing: 0,
-};
+// Start URLs pin their own storefront; keyword and category searches may fan out across several stores
+const fanOutStoreKeys = uniqueList(storesInput?.length ? storesInput : [storeInput]).map((key) => key.toUpperCase());
+const startUrlStores = startUrls.map((url) => [url, detectStoreKey(url) || storeInput.toUpperCase()]);
+
+// Watched products are looked up directly, whether or not any search finds them
+const productStartUrls = startUrls.filter((url) => parseAsosUrl(url).type === 'product');
+const watchlist = buildWatchlist(productIds, [...productUrls, ...productStartUrls], fanOutStoreKeys, storeInput.toUpperCase());
+if (watchlist.invalid.length) log.warning(`Ignoring watchlist entries without an ASOS product ID: ${watchlist.invalid.join(', ')}`);
+
+const storeKeys = uniqueList([
+    ...(keywords.length || categoryIds.length ? fanOutStoreKeys : []),
+    ...startUrlStores.map(([, key]) => key),
+    ...watchlist.byStore.keys(),
+]);
+const storeOverrides = { currency: currencyInput, language: languageInput };
+const storeConfigs = new Map(storeKeys.map((key) => [key, resolveStore(key, storeOverrides)]));
+
+// One header generator per store so the browser locale matches the storefront
+const headerGenerators = new Map(
+    [...storeConfigs.values()].map((store) => [
+        store.key,
+        new HeaderGenerator({
+            browsers: [{ name: 'chrome', minVersion: 120, httpVersion: '2' }],
+            devices: ['desktop'],
+            operatingSystems: ['windows'],
+            locales: [store.lang],
+        }),
+    ]),
+);
 
-const productBuffer = [];
-const BATCH_SIZE = 10;
+/**
+ * Fingerprint headers of a session for one store, generated once so every request of the session looks alike
+ * @param {object} session - Crawler session
+ * @param {string} storeKey - Store the request belongs to
+ * @returns {object} - Generated browser headers
+ */
+function sessionHeaders(session, storeKey) {
+    if (!session) return headerGenerators.get(storeKey).getHeaders();
+    session.userData.headers ??= {};
+    session.userData.headers[storeKey] ??= headerGenerators.get(storeKey).getHeaders();
+    return session.userData.headers[storeKey];
+}
 
-async function pushBufferedData(force = false) {
-    if (productBuffer.length >= BATCH_SIZE || (force && productBuffer.length > 0)) {
-        await Dataset.pushData(productBuffer);
-        log.info(`Flushed ${productBuffer.length} products to dataset.`);
-        productBuffer.length = 0;
-    }
+/**
+ * Proxy, session and fingerprint for REST API calls made while handling a crawler request
+ * @param {object} context - Crawler request context
+ * @returns {object} - Transport for the api.js fetchers
+ */
+function apiTransport({ request, session, proxyInfo }) {
+    return { proxyUrl: proxyInfo?.url, session, headers: sessionHeaders(session, request.userData.store) };
 }
 
-const crawler = new CheerioCrawler({
-    proxyConfiguration,
-    maxRequestRetries: 2,
-    maxConcurrency: 5, // Increased from 3 for better speed
-    requestHandlerTimeoutSecs: 60,
-    useSessionPool: true,
-    sessionPoolOptions: { maxPoolSize: 20, sessionOptions: { maxUsageCount: 15 } },
-    additionalMimeTypes: ['text/html'],
-    preNavigationHooks: [
-        async ({ request }) => {
-            const headers = headerGenerator.getHeaders();
-            request.headers = { ...headers, ...request.headers };
+// Blocks slow the crawl down: fewer parallel requests and a longer pause before each one
+const MAX_CONCURRENCY = 5;
+const backoff = createBackoff(MAX_CONCURRENCY);
 
-            // Add random delay for stealth (200-800ms)
-            await new Promise(resolve => setTimeout(resolve, 200 + Math.random() * 600));
-        },
-    ],
-    async requestHandler({ $, request, body, crawler: crawlerInstance }) {
-        // Check if we should stop processing
-        if (shouldStop || saved >= resultsWanted) {
-            log.info(`Already reached target of ${resultsWanted} products. Skipping request.`);
-            return;
-        }
+/**
+ * Name of the proxy group a request went through, for block rates
+ * @param {object} proxyInfo - Proxy info of the crawler request
+ * @returns {string}
+ */
+function proxyGroupOf(proxyInfo) {
+    if (!proxyInfo) return 'direct';
+    return proxyInfo.groups?.length ? proxyInfo.groups.join('+') : proxyInfo.hostname;
+}
 
-        const html = body?.toString?.() || '';
-        log.info(`Processing listing: ${request.url}`);
+/**
+ * Record whether a request was blocked and apply any backoff step to the running crawler
+ * @param {object} context - Crawler request context
+ * @param {boolean} blocked - Whether the request was blocked
+ */
+function trackOutcome({ proxyInfo, crawler: crawlerInstance }, blocked) {
+    const step = recordOutcome(backoff, proxyGroupOf(proxyInfo), blocked);
+    if (!step) return;
+    if (crawlerInstance.autoscaledPool) crawlerInstance.autoscaledPool.maxConcurrency = backoff.concurrency;
+    const message = `Backing off ${step === 'slower' ? 'after repeated blocks' : 'less, no recent blocks'}: concurrency ${backoff.concurrency}, extra delay ${backoff.delayMs}ms`;
+    if (step === 'slower') log.warning(message);
+    else log.info(message);
+}
 
-        const title = html.match(/<title[^>]*>([^<]+)<\/title>/i)?.[1] || '';
-        log.info(`Page title: ${title}`);
+/**
+ * Random delay for stealth (200-800ms) before each request, plus the backoff delay while requests are being blocked
+ */
+async function requestDelay() {
+    await sleep(200 + Math.random() * 600 + backoff.delayMs);
+}
 
-        let products = [];
-        let extractionMethod = null;
-        let pagination = null;
+const proxyConfiguration = await Actor.createProxyConfiguration(
+    proxyInput || { useApifyProxy: true, apifyProxyGroups: ['RESIDENTIAL'] },
+);
 
-        // WATERFALL EXTRACTION: window.asos -> REST API -> __NEXT_DATA__ -> DOM
+const buildSearchUrl = (store, searchKeyword, page = 1) => listingHtmlUrl({ keyword: searchKeyword, sort: sortBy }, store, page);
+
+const buildCategoryUrl = (store, categoryId, page = 1) => listingHtmlUrl({ categoryId, sort: sortBy }, store, page);
+
+// Every keyword, start URL and category becomes one query per store, each with its own resultsWanted budget
+const queries = new Map();
+
+function addQuery(storeKey, type, value, url, categoryId = null, suggestedFrom = null) {
+    const key = `${storeKey}|${type}:${value}`;
+    if (queries.has(key)) return;
+    queries.set(key, {
+        key,
+        store: storeKey,
+        type,
+        value,
+        url,
+        categoryId,
+        // Keyword whose search suggestions surfaced this keyword query, null for input keywords
+        suggestedFrom,
+        seenIds: new Set(),
+        saved: 0,
+        shouldStop: false,
+        // Highest listing page already enqueued, so parallel pages never enqueue the same range twice
+        enqueuedThrough: extractPaginationFromUrl(url).page,
+        // Listing requests enqueued but not handled yet, starting with the first page; a /grp/ start URL has none
+        pagesLeft: parseAsosUrl(url).type === 'group' ? 0 : 1,
+    });
+}
 
-        // 1. Try window.asos (most reliable for SSR pages)
-        const windowAsos = extractWindowAsos(html);
-        products = getProductsFromWindow(windowAsos);
-        if (products.length) {
-            extractionMethod = 'window.asos';
-            extractionStats.windowAsos++;
-            pagination = extractPagination(windowAsos);
-            log.info(`✓ Extracted ${products.length} products via window.asos`);
+// A migrated or restarted run picks up the progress persisted by the previous attempt
+const CRAWL_STATE_KEY = 'CRAWL_STATE';
+const savedState = await Actor.getValue(CRAWL_STATE_KEY);
+
+// Suggestion trees per store, built once per run so a resumed run crawls the same keywords
+const suggestionTrees = savedState?.suggestionTrees || {};
+if (expandKeywords && keywords.length && !savedState?.suggestionTrees) {
+    for (const storeKey of fanOutStoreKeys) {
+        const store = storeConfigs.get(storeKey);
+        const transport = { proxyUrl: await proxyConfiguration?.newUrl(), headers: sessionHeaders(null, storeKey) };
+        const seen = new Set(keywords.map((kw) => kw.toLowerCase()));
+        suggestionTrees[storeKey] = [];
+        for (const kw of keywords) {
+            suggestionTrees[storeKey].push(await expandKeyword(kw, store, transport, { depth: expansionDepth, limit: maxSuggestions, seen }));
         }
+        const added = suggestionTrees[storeKey].reduce((sum, tree) => sum + flattenSuggestionTree(tree).length - 1, 0);
+        log.info(`Expanded ${keywords.length} keywords into ${added} suggested keywords for store ${storeKey}`);
+    }
+    await Actor.setValue('KEYWORD_SUGGESTIONS', suggestionTrees);
+}
 
-        // 2. Try REST API (more stable than DOM, faster than full page render)
-        if (!products.length) {
-            try {
-                const urlObj = new URL(request.url);
-                const apiKeyword = urlObj.searchParams.get('q') || keyword;
-                const apiPage = Number(urlObj.searchParams.get('page') || 1) - 1; // API is 0-indexed
-
-                const apiResponse = await fetchSearchAPI(apiKeyword, apiPage, { sortBy });
-                if (apiResponse.products?.length) {
-                    products = apiResponse.products.map(normalizeApiProduct).filter(Boolean);
-                    pagination = apiResponse.pagination;
-                    extractionMethod = 'REST API';
-                    extractionStats.restApi++;
-                    log.info(`✓ Extracted ${products.length} products via REST API`);
-                }
-            } catch (apiError) {
-                log.debug(`REST API extraction failed: ${apiError.message}`);
-            }
+for (const [url, storeKey] of startUrlStores) {
+    // Product page start URLs are watched products, not listings
+    if (parseAsosUrl(url).type === 'product') continue;
+    addQuery(storeKey, 'url', url, url, extractCategoryId(url));
+}
+for (const storeKey of fanOutStoreKeys) {
+    if (!keywords.length && !categoryIds.length) break;
+    const store = storeConfigs.get(storeKey);
+    for (const kw of keywords) addQuery(storeKey, 'keyword', kw, buildSearchUrl(store, kw, 1));
+    for (const tree of suggestionTrees[storeKey] || []) {
+        for (const { keyword: suggested, suggestedFrom } of flattenSuggestionTree(tree).slice(1)) {
+            addQuery(storeKey, 'keyword', suggested, buildSearchUrl(store, suggested, 1), null, suggestedFrom);
         }
+    }
+    for (const cid of categoryIds) addQuery(storeKey, 'category', cid, buildCategoryUrl(store, cid, 1), cid);
+}
 
-        // 3. Try __NEXT_DATA__ (Next.js fallback)
-        if (!products.length) {
-            const nextData = extractNextData(html);
-            products = getProductsFromWindow(nextData);
-            if (products.length) {
-                extractionMethod = '__NEXT_DATA__';
-                extractionStats.nextData++;
-                pagination = extractPagination(nextData);
-                log.info(`✓ Extracted ${products.length} products via __NEXT_DATA__`);
-            }
-        }
+if (savedState) {
+    const restored = restoreQueries(queries, savedState.queries);
+    log.info(`Resuming crawl started at ${savedState.runStartedAt}: restored progress of ${restored} queries`);
+}
 
-        // 4. Fallback: DOM Parsing (last resort)
-        if (!products.length) {
-            products = parseDomProducts(html, $);
-            if (products.length) {
-                extractionMethod = 'DOM parsing';
-                extractionStats.domParsing++;
-                pagination = extractPaginationFromUrl(request.url);
-                log.info(`✓ Recovered ${products.length} products via DOM parsing`);
-            }
-        }
+// Canonical brands are learned from API and page payloads as the crawl goes, then matched against DOM titles
+const brandIndex = createBrandIndex(brandAliases);
+learnBrands(brandIndex, savedState?.brands || []);
+
+// Run-wide dedup still keeps storefronts apart: the same product ID is a separate record in each store
+const runSeenIds = new Set(savedState?.runSeenIds || []);
+
+// Pages, fill rates and failures for the RUN_REPORT record
+const runReport = Object.assign(createRunReport(), savedState?.report);
+
+// Product IDs claimed but not yet buffered or enqueued as a DETAIL/GROUP request, left out of persisted state
+const inFlight = new Map();
+
+// DETAIL and GROUP requests still to finish; the crawl stops early only once every target is met and these are done.
+// Group start URLs (/grp/) begin as GROUP requests, so a fresh run starts with those pending
+const groupStartQueries = [...queries.values()].filter((query) => query.type === 'url' && parseAsosUrl(query.url).type === 'group');
+let pendingFollowUps = savedState ? savedState.pendingFollowUps || 0 : groupStartQueries.length;
+
+// Watchlist batches, one request per store and WATCHLIST_BATCH_SIZE products; the crawl never stops before they ran
+const watchlistRequests = [...watchlist.byStore].flatMap(([storeKey, ids]) =>
+    toBatches(ids).map((batch) => ({
+        url: `${storeConfigs.get(storeKey).origin}/api/product/catalogue/v4/summaries?productIds=${batch.join(',')}`,
+        uniqueKey: `watchlist:${storeKey}:${batch.join(',')}`,
+        label: 'WATCHLIST',
+        skipNavigation: true,
+        userData: { store: storeKey, productIds: batch },
+    })),
+);
+let pendingWatchlistBatches = savedState?.pendingWatchlistBatches ?? watchlistRequests.length;
 
-        if (!products.length) {
-            log.warning(`✗ No products found on ${request.url} after all extraction methods`);
-            await Actor.setValue('DEBUG_HTML_LISTING', html, { contentType: 'text/html' });
-            return;
-        }
+// Change detection compares against the previous run's snapshot kept in a named key-value store
+const runStartedAt = savedState?.runStartedAt || new Date().toISOString();
+const priceHistory = trackChanges ? await openPriceHistory(historyStoreName, storeKeys) : null;
+// Changed products go to a dataset of their own as they are found; only their counts are kept in memory
+const changesDataset = trackChanges ? await Actor.openDataset(changesDatasetName) : null;
+const changeBuffer = [];
+const changeCounts = savedState?.changeCounts || {};
 
-        // ==================================================
-        // SAVE PRODUCTS DIRECTLY FROM LISTING (No detail page visits!)
-        // ==================================================
+const watchedCount = [...watchlist.byStore.values()].reduce((sum, ids) => sum + ids.length, 0);
+if (watchedCount) log.info(`Watching ${watchedCount} products in ${watchlistRequests.length} batches`);
+log.info(`Starting ASOS scraper with ${queries.size} queries across stores ${storeKeys.join(', ')}, results wanted: ${resultsWanted} per query, dedup per ${dedupeScope}, ${mode} mode`);
 
-        const filtered = products.filter((p) => pricePasses(p.price, minPrice, maxPrice));
-        const needed = resultsWanted - saved;
-        const toSave = filtered.slice(0, needed);
+// In auto mode this many API listing failures in a row switch the rest of the run to HTML listing pages
+const API_FAILURE_LIMIT = 3;
+let apiFailureStreak = 0;
 
-        log.info(`Found ${filtered.length} products, saving ${toSave.length} directly (already have ${saved}/${resultsWanted})`);
+const useApiListing = () => mode === 'api' || (mode === 'auto' && apiFailureStreak < API_FAILURE_LIMIT);
 
-        for (const p of toSave) {
-            if (saved >= resultsWanted) {
-                shouldStop = true;
-                break;
-            }
+/**
+ * Listing request of a query page, as an API call while the API is in use
+ * @param {object} query - Query entry from the queries map
+ * @param {string} url - Listing URL
+ * @param {object} userData - userData of the request it follows from
+ * @returns {object} - Request for crawler.addRequests
+ */
+const nextListingRequest = (query, url, userData) => listingRequest(query, url, userData, { api: useApiListing() });
 
-            const id = String(p.id || p.productId || '');
-            if (id && seenIds.has(id)) {
-                log.debug(`Skipping duplicate product ID: ${id}`);
-                continue;
-            }
-            if (id) seenIds.add(id);
+/**
+ * Call the search or category API for a listing URL
+ * @param {object} store - Resolved store config
+ * @param {string} url - Listing URL being processed; its keyword, cid, refinements and sort carry over to the API
+ * @param {number} page - Page number (0-indexed for API)
+ * @param {object} options - Extra API options (limit, refine from the filter inputs, transport)
+ * @returns {Promise<object>} - API response
+ */
+async function fetchQueryAPI(store, url, page, options = {}) {
+    // Keyword, category, refinements and sort all come from the listing URL, so API pages match the HTML pages
+    const { categoryId, keyword: apiKeyword, ...params } = listingApiParams(parseAsosUrl(url), { refine: options.refine });
+    const apiOptions = { store, ...options, ...params };
+
+    // Category listings page through the categories API by cid instead of a keyword search
+    if (categoryId) return fetchCategoryAPI(categoryId, page, apiOptions);
+    return fetchSearchAPI(apiKeyword, page, apiOptions);
+}
 
-            // Transform to final output format
-            const finalProduct = transformToFinalFormat(p);
+/**
+ * Probe the API once for a query's facets, build its refinement and optionally export the facet list
+ * @param {object} query - Query entry from the queries map
+ * @param {object} store - Resolved store config
+ * @param {string} url - Listing URL being processed
+ * @param {object} transport - Proxy session of the crawler request
+ */
+async function loadQueryFacets(query, store, url, transport) {
+    const probe = await fetchQueryAPI(store, url, 0, { transport, limit: 1 });
+    query.facets = normalizeFacets(probe.facets);
+    learnBrandsFromFacets(brandIndex, query.facets);
+
+    if (facetFiltersActive) {
+        const { refine, unmatched } = buildRefinement(query.facets, filters);
+        query.refine = refine;
+        query.unmatchedFilters = unmatched;
+        if (unmatched.length) {
+            log.warning(`No facet values matched ${unmatched.join(', ')} for ${query.type} "${query.value}" - filtering client-side`);
+        }
+        if (filters.sizes.some((size) => unmatched.includes(size))) {
+            log.warning('Sizes can only be filtered through ASOS API facets, listing pages carry no size data; unmatched sizes are ignored');
+        }
+    }
 
-            // Validate critical fields before saving
-            if (!finalProduct.product_id || !finalProduct.title || !finalProduct.product_url) {
-                log.warning(`Skipping product with missing critical data: ${finalProduct.product_id || 'unknown'}`);
-                continue;
-            }
+    if (exportFacets) {
+        const key = `FACETS-${query.key}`.replace(/[^a-zA-Z0-9!\-_.'()]/g, '_').slice(0, 250);
+        await Actor.setValue(key, { store: query.store, query: query.value, queryType: query.type, facets: query.facets });
+        log.info(`Saved ${query.facets.length} facets for ${query.type} "${query.value}" to key-value store key ${key}`);
+    }
+}
 
-            productBuffer.push(finalProduct);
-            saved++;
+const dedupeKeyOf = (store, id) => (dedupeScope === 'run' ? `${store.key}:${id}` : id);
+const claimKeyOf = (query, store, id) => `${query.key}|${dedupeKeyOf(store, id)}`;
 
-            if (saved % 10 === 0) log.info(`Saved ${saved} products`);
-            await pushBufferedData();
+/**
+ * Claim a product ID for a query, honouring the dedup scope; the claim stays open until settleClaim
+ * @param {object} query - Query entry from the queries map
+ * @param {object} store - Resolved store config
+ * @param {string} id - Product ID
+ * @param {object} options - `slot` when the product took one of the query's resultsWanted slots
+ * @returns {boolean} - False when the product was already saved
+ */
+function claimProductId(query, store, id, { slot = false } = {}) {
+    if (!id) return true;
+    // Watched products always get their own record with a watch_status, even when a search saved them already, so
+    // their IDs stay out of the run-wide seen IDs
+    const watched = query.type === 'product';
+    const seenIds = dedupeScope === 'run' && !watched ? runSeenIds : query.seenIds;
+    const dedupeKey = dedupeKeyOf(store, id);
+    if (seenIds.has(dedupeKey)) {
+        log.debug(`Skipping duplicate product ID: ${id}`);
+        runReport.duplicatesSkipped++;
+        return false;
+    }
+    seenIds.add(dedupeKey);
+    inFlight.set(claimKeyOf(query, store, id), { query: query.key, dedupeKey: watched ? null : dedupeKey, slot, followUp: false });
+    return true;
+}
 
-            if (saved >= resultsWanted) {
-                shouldStop = true;
-                log.info(`✓ Reached target of ${resultsWanted} products!`);
-                break;
-            }
-        }
+/**
+ * Mark the claim of a product as handed to a DETAIL or GROUP request that is not enqueued yet
+ * @param {string} claimKey - Key from claimKeyOf
+ */
+function deferClaim(claimKey) {
+    const claim = inFlight.get(claimKey);
+    if (claim) claim.followUp = true;
+}
 
-        // Listing Pagination - only if we still need more products
-        if (saved < resultsWanted && toSave.length === filtered.length) {
-            const pagination = extractPagination(windowAsos) || extractPaginationFromUrl(request.url);
-            const nextUrl = nextPageUrl(request.url, pagination, products.length);
-            if (nextUrl) {
-                log.info(`Enqueueing next page: ${nextUrl}`);
-                await crawlerInstance.addRequests([{ url: nextUrl }]);
-            } else {
-                log.info(`No more pages available`);
-            }
-        } else {
-            log.info(`Not enqueueing next page - have enough products or reached limit`);
-        }
-    },
-});
+/**
+ * Enqueue collected DETAIL and GROUP requests, then close the claims of their products
+ * @param {object} crawlerInstance - Running crawler
+ * @param {Array} requests - DETAIL and GROUP requests, with the claim key in userData
+ */
+async function enqueueFollowUps(crawlerInstance, requests) {
+    if (!requests.length) return;
+    await crawlerInstance.addRequests(requests);
+    for (const { userData } of requests) inFlight.delete(userData.claim);
+}
 
-// ========================================
-// EXECUTION
-// ========================================
+/**
+ * Take one of a query's resultsWanted slots; runs without awaiting so parallel pages cannot overshoot the target
+ * @param {object} query - Query entry from the queries map
+ * @returns {boolean} - False once the query has all the products it wants
+ */
+function reserveSlot(query) {
+    if (query.saved >= resultsWanted) {
+        query.shouldStop = true;
+        return false;
+    }
+    query.saved++;
+    return true;
+}
 
-await crawler.run([startUrl || buildSearchUrl(1)]);
+/**
+ * Give back a reserved slot whose product turned out to be a duplicate or invalid
+ * @param {object} query - Query entry from the queries map
+ */
+function releaseSlot(query) {
+    query.saved--;
+    query.shouldStop = false;
+}
 
-log.info('Crawl finished.');
+/**
+ * Whether a query needs no more listing pages: it has its products, or none of its pages is left to handle because
+ * it ran out of pages. A /grp/ start URL has no listing pages; its GROUP request counts as a pending follow-up
+ * @param {object} query - Query entry from the queries map
+ * @returns {boolean}
+ */
+function queryDone(query) {
+    return query.saved >= resultsWanted || query.pagesLeft === 0;
+}
 
-// Log extraction method statistics for monitoring
-log.info('Extraction method usage:', extractionStats);
+/**
+ * Enqueue listing pages of a query, counting them until they are handled
+ * @param {object} crawlerInstance - Running crawler
+ * @param {object} query - Query entry from the queries map
+ * @param {object[]} requests - Output of listingRequest
+ */
+async function enqueueListingPages(crawlerInstance, query, requests) {
+    query.pagesLeft += requests.length;
+    await crawlerInstance.addRequests(requests);
+}
 
-await pushBufferedData(true);
-await Actor.exit();
+/**
+ * Mark an API or HTML listing request as done, successful or not
+ * @param {object} crawlerInstance - Running crawler
+ * @param {object} request - The finished listing request
+ */
+function finishListingPage(crawlerInstance, request) {
+    const query = queries.get(request.userData.query);
+    query.pagesLeft = Math.max(0, query.pagesLeft - 1);
+    stopWhenDone(crawlerInstance);
+}
 
-// ========================================
-// PRODUCT TRANSFORMATION & FORMATTING
-// ========================================
+/**
+ * Stop the crawler once every query is done and no DETAIL or GROUP request is outstanding,
+ * so listing pages still queued are not fetched for nothing
+ * @param {object} crawlerInstance - Running crawler
+ */
+function stopWhenDone(crawlerInstance) {
+    if (pendingFollowUps > 0 || pendingWatchlistBatches > 0) return;
+    if (![...queries.values()].every(queryDone)) return;
+    crawlerInstance.stop(`All ${queries.size} queries are done - stopping the crawl`);
+}
 
 /**
- * Transform listing product to final output format
- * @param {object} p - Product from listing extraction
- * @returns {object} - Final formatted product
+ * Mark a DETAIL or GROUP request as done, successful or not
+ * @param {object} crawlerInstance - Running crawler
  */
-function transformToFinalFormat(p) {
-    const id = String(p.id || p.productId || '');
-    const currentPrice = extractPriceValue(p.price);
-    const originalPrice = p.price?.previous?.value ?? p.price?.was?.value ?? p.price?.rrp?.value ?? null;
-    const currency = p.price?.currency || p.currency || '£';
+function finishFollowUp(crawlerInstance) {
+    pendingFollowUps = Math.max(0, pendingFollowUps - 1);
+    stopWhenDone(crawlerInstance);
+}
 
-    // Calculate discount
-    let discount = null;
-    if (originalPrice && currentPrice && originalPrice > currentPrice) {
-        discount = `${Math.round(((originalPrice - currentPrice) / originalPrice) * 100)}%`;
-    }
+// Debug mode keeps every failed or low-yield page under its own key, indexed in DEBUG_INDEX
+const debugCapture = debugMode ? createDebugCapture() : null;
+for (const entry of (debugCapture && savedState?.debugIndex) || []) debugCapture.entries.set(entry.key, entry);
+
+/**
+ * Capture the page of a crawler request for offline debugging, when debug mode is on
+ * @param {object} context - Crawler request context
+ * @param {string} reason - Why the page is captured
+ * @param {Array} stages - Extraction stages tried as { stage, products, reason }
+ * @param {object} overrides - Values the context lacks, e.g. statusCode of an API call
+ */
+async function captureDebugPage({ request, response, session, body }, reason, stages = [], overrides = {}) {
+    if (!debugCapture) return;
+    const key = await capturePage(debugCapture, {
+        url: request.url,
+        label: request.label || 'LISTING',
+        reason,
+        html: body?.toString?.() || null,
+        statusCode: response?.statusCode,
+        headers: response?.headers,
+        sessionId: session?.id,
+        retryCount: request.retryCount,
+        stages,
+        ...overrides,
+    });
+    log.info(`Captured debug page ${key} (${reason})`);
+}
 
-    // Format prices
-    const formattedPrice = currentPrice ? `${currency}${currentPrice.toFixed(2)}` : null;
-    const formattedOriginalPrice = originalPrice ? `${currency}${originalPrice.toFixed(2)}` : null;
+// Track extraction methods for monitoring
+const extractionStats = {
+    windowAsos: 0,
+    restApi: 0,
+    nextData: 0,
+    domParsing: 0,
+};
 
-    // Determine URL
-    let productUrl = p.url || p.productUrl;
-    if (productUrl && !productUrl.startsWith('http')) {
-        productUrl = `https://www.asos.com${productUrl}`;
-    }
+// Downloaded images live in a named key-value store so they outlive delisted products
+const imageStore = downloadImages ? await openImageStore(imageStoreName) : null;
 
-    // Get brand - try all possible properties
-    const brand = p.brandName || p.brand?.name || p.brand || null;
+const productBuffer = [];
+const BATCH_SIZE = 10;
+const DEFAULT_PAGE_SIZE = 72;
 
-    // Get color - try all variants
-    const color = p.colour || p.color || p.colourWayLabel || p.colourWayId || null;
+// Products of one page whose colourways, reviews and images are loaded at the same time
+const RECORD_CONCURRENCY = 6;
 
-    // Get description from available sources
-    let description = null;
-    
-    // First priority: Extract meaningful description from product title
-    // Remove brand name and color to get product description
-    if (p.name || p.title) {
-        let desc = (p.name || p.title).trim();
-        
-        // Remove brand name from title if present
-        if (brand) {
-            desc = desc.replace(new RegExp(`^${brand.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*`, 'i'), '');
-        }
-        
-        // Remove color phrase ("in [color]") from description
-        if (color) {
-            desc = desc.replace(new RegExp(`\\s+in\\s+${color.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}.*$`, 'i'), '');
-        }
-        
-        // Clean up extra spaces
-        desc = desc.replace(/\s+/g, ' ').trim();
-        
-        // Only use if we have meaningful content (more than just brand/color)
-        if (desc.length > 5) {
-            description = desc;
-        }
+// Dataset pushes still running, awaited before crawl state that counts their products is persisted
+const pendingPushes = new Set();
+
+/**
+ * Keep track of a dataset push until it finishes
+ * @param {Promise} push - Pending pushData call
+ * @returns {Promise}
+ */
+function trackPush(push) {
+    const tracked = push.finally(() => pendingPushes.delete(tracked));
+    pendingPushes.add(tracked);
+    return tracked;
+}
+
+/**
+ * Push a batch of records to the dataset
+ * @param {Array} batch - Records taken from the buffer
+ */
+async function pushBatch(batch) {
+    await trackPush(Dataset.pushData(batch));
+    log.info(`Flushed ${batch.length} products to dataset.`);
+}
+
+async function pushBufferedData(force = false) {
+    if (productBuffer.length >= BATCH_SIZE || (force && productBuffer.length > 0)) {
+        // Take the batch before awaiting so products buffered meanwhile by other handlers are kept
+        await pushBatch(productBuffer.splice(0));
     }
-    
-    // Fallback to product type or badges if title-based description is not available
-    if (!description) {
-        if (p.productType && p.productType !== 'Product') {
-            description = p.productType;
-        } else if (p.badges && p.badges.length > 0) {
-            const badgeTexts = p.badges.map(b => b.text || b.label).filter(Boolean);
-            if (badgeTexts.length > 0) {
-                description = badgeTexts.join(' | ')
-                    .replace(/MORE\s*COLOURS/gi, 'More Colors')
-                    .replace(/Selling\s*fast/gi, 'Selling Fast')
-                    .replace(/\s+/g, ' ')
-                    .trim();
-            }
-        }
+    if (changeBuffer.length >= BATCH_SIZE || (force && changeBuffer.length > 0)) {
+        await trackPush(changesDataset.pushData(changeBuffer.splice(0)));
     }
+}
 
-    if (description) {
-        description = description
-            .replace(/([a-z])([A-Z])/g, '$1 | $2')
-            .replace(/\s+\|\s+/g, ' | ')
-            .trim();
-    }
-
-    // Get best available image - handle both 'imageUrl' and 'image'
-    const imageUrl = p.imageUrl || p.image || p.images?.[0]?.url || p.media?.images?.[0]?.url || null;
-
-    return {
-        product_id: id,
-        title: p.name || p.title || null,
-        brand: brand,
-        price: formattedPrice,
-        original_price: formattedOriginalPrice,
-        discount: discount,
-        currency: currency,
-        color: color,
-        size_available: 'Available online',
-        is_sale: p.isMarkedDown || p.price?.isMarkedDown || (originalPrice && currentPrice && originalPrice > currentPrice) ? 'Yes' : 'No',
-        product_url: productUrl,
-        image_url: normalizeImageUrl(imageUrl),
-        description: description,
+/**
+ * Persist crawl progress so a migrated or restarted run continues where it stopped
+ */
+async function persistCrawlState() {
+    // Progress and buffer are taken in one step, so every product ID in the snapshot is in the dataset once the
+    // pushes below finish, or enqueued as a DETAIL or GROUP request
+    const batch = productBuffer.splice(0);
+    const changeBatch = changeBuffer.splice(0);
+    const state = {
+        runStartedAt,
+        ...snapshotProgress({ queries, runSeenIds, pendingFollowUps, inFlight }),
+        pendingWatchlistBatches,
+        suggestionTrees,
+        changeCounts: { ...changeCounts },
+        report: runReport,
+        brands: [...brandIndex.brands.values()],
+        debugIndex: debugCapture ? [...debugCapture.entries.values()] : [],
     };
+    const flushed = batch.length ? pushBatch(batch) : null;
+    const changesFlushed = changeBatch.length ? trackPush(changesDataset.pushData(changeBatch)) : null;
+    await Promise.all([flushed, changesFlushed, ...pendingPushes]);
+    await Actor.setValue(CRAWL_STATE_KEY, state);
+    if (priceHistory) await savePriceHistory(priceHistory);
+    if (imageStore) await saveImageStore(imageStore);
 }
 
-// ========================================
-// EXTRACTION UTILITY FUNCTIONS
-// ========================================
+Actor.on('persistState', persistCrawlState);
+Actor.on('migrating', persistCrawlState);
+Actor.on('aborting', persistCrawlState);
 
-function extractWindowAsos(html) {
-    // 1) Structured JSON payloads: <script data-id="window.asos..." type="application/json">{...}</script>
-    const dataIdRegex = /<script[^>]*data-id="window\.asos[^"]*"[^>]*>([\s\S]*?)<\/script>/gi;
-    let match;
-    while ((match = dataIdRegex.exec(html)) !== null) {
-        const json = match[1]?.trim();
-        const parsed = parseJsonSafe(json);
-        if (parsed) return parsed;
-    }
-
-    // 2) Inline assignment: window.asos = {...}; or window.asos.plp = {...};
-    const scriptRegex = /<script\b[^>]*>([\s\S]*?)<\/script>/gi;
-    while ((match = scriptRegex.exec(html)) !== null) {
-        const script = match[1];
-        if (!script || !script.includes('window.asos')) continue;
-
-        // Try various assignment patterns
-        const patterns = [
-            /window\.asos\s*=\s*(\{[\s\S]*?\});?/,
-            /window\.asos\.plp\s*=\s*(\{[\s\S]*?\});?/,
-            /window\.asos\.search\s*=\s*(\{[\s\S]*?\});?/
-        ];
-
-        for (const pattern of patterns) {
-            const assignMatch = script.match(pattern);
-            if (assignMatch?.[1]) {
-                const parsed = parseJsonSafe(assignMatch[1]);
-                if (parsed) return parsed;
-            }
+// With verifyImages every image URL gets a HEAD request before its record is saved
+const imageCheck = verifyImages ? createImageCheck() : null;
+
+/**
+ * Drop the images of a record whose URL does not resolve, and download the rest, as far as those options are on
+ * @param {object} record - Final output record
+ * @param {object} transport - Proxy session of the crawler request
+ */
+async function processRecordImages(record, transport) {
+    if (imageCheck && record.images?.length) {
+        const images = await verifyImageUrls(imageCheck, record.images, transport);
+        if (images.length < record.images.length) {
+            log.debug(`Dropped ${record.images.length - images.length} unresolved images of product ${record.product_id}`);
         }
+        record.images = images;
+        record.image_url = images[0] || null;
+    }
+    if (imageStore) record.image_files = await downloadProductImages(imageStore, record.product_id, record.images || [], transport);
+}
+
+// Reviews are loaded once per product and store; their full texts also go to a dataset of their own
+const reviewsByProduct = new Map();
+const reviewsDataset = includeReviews && maxReviews > 0 ? await Actor.openDataset(reviewsDatasetName) : null;
 
-        // Fallback: evaluate inside sandbox
-        const context = {
-            result: null,
-            document: {},
-            navigator: {},
-            location: {},
-            localStorage: { getItem: () => null, setItem: () => undefined },
+/**
+ * Rating and review fields for a record, loading the product's reviews on first use
+ * @param {object} record - Final output record
+ * @param {object} store - Resolved store config
+ * @param {object} transport - Proxy session of the crawler request
+ * @returns {Promise<object>} - Output of reviewFields
+ */
+function productReviews(record, store, transport) {
+    const cacheKey = `${store.key}:${record.product_id}`;
+    if (!reviewsByProduct.has(cacheKey)) {
+        const load = async () => {
+            const reviews = await loadReviews(record.product_id, store, transport, maxReviews);
+            if (reviewsDataset && reviews?.reviews.length) {
+                const product = { product_id: record.product_id, store: store.key, product_url: record.product_url };
+                const scrapedAt = new Date().toISOString();
+                await reviewsDataset.pushData(reviews.reviews.map((review) => ({ ...product, ...review, scraped_at: scrapedAt })));
+            }
+            return reviewFields(reviews, maxReviews);
         };
+        reviewsByProduct.set(cacheKey, load());
+    }
+    return reviewsByProduct.get(cacheKey);
+}
 
-        const code = `var window = { asos: { plp: {}, search: {} } };
-            ${script}
-            globalThis.result = window.asos;`;
+/**
+ * Validate a final record, then track its change and hand it to a DETAIL request or the dataset buffer
+ * @param {object} finalProduct - Output of transformToFinalFormat
+ * @param {object} p - Source product, for the price history snapshot
+ * @param {object} store - Resolved store config
+ * @param {object} query - Query entry from the queries map
+ * @param {Array} detailRequests - Collects DETAIL requests for the caller to enqueue
+ * @param {object} transport - Proxy session of the crawler request, for image checks
+ * @returns {Promise<boolean>} - Whether the record was kept
+ */
+async function emitRecord(finalProduct, p, store, query, detailRequests, transport) {
+    const claimKey = claimKeyOf(query, store, finalProduct.product_id);
+
+    // Validate critical fields before saving
+    if (!finalProduct.product_id || !finalProduct.title || !finalProduct.product_url) {
+        log.warning(`Skipping product with missing critical data: ${finalProduct.product_id || 'unknown'}`);
+        runReport.droppedMissingFields++;
+        inFlight.delete(claimKey);
+        return false;
+    }
+    if (includeReviews) Object.assign(finalProduct, await productReviews(finalProduct, store, transport));
 
-        try {
-            vm.runInNewContext(code, context, { timeout: 1000 });
-            if (context.result && Object.keys(context.result).length) return context.result;
-        } catch (error) {
-            log.debug(`window.asos eval failed: ${error.message}`);
+    // Records going through a DETAIL request get their images checked and downloaded once the full gallery is known
+    if (!scrapeDetails) await processRecordImages(finalProduct, transport);
+    recordSaved(runReport, finalProduct);
+
+    if (priceHistory) {
+        Object.assign(finalProduct, detectChange(priceHistory, store.key, finalProduct, snapshotProduct(p), runStartedAt));
+        if (finalProduct.change_type !== 'unchanged') {
+            changeBuffer.push(changeEntry(finalProduct, store.key, snapshotProduct(p), runStartedAt));
+            changeCounts[finalProduct.change_type] = (changeCounts[finalProduct.change_type] || 0) + 1;
         }
     }
-    return null;
-}
 
-function extractNextData(html) {
-    const match = html.match(/id="__NEXT_DATA__"[^>]*>([\s\S]*?)<\/script>/);
-    if (!match) return null;
-    try {
-        return JSON.parse(match[1]);
-    } catch (error) {
-        log.debug(`__NEXT_DATA__ parse failed: ${error.message}`);
-        return null;
+    if (scrapeDetails) {
+        pendingFollowUps++;
+        deferClaim(claimKey);
+        detailRequests.push({
+            url: finalProduct.product_url,
+            uniqueKey: `detail:${query.key}:${finalProduct.product_id}`,
+            label: 'DETAIL',
+            userData: { store: store.key, product: finalProduct, claim: claimKey },
+        });
+    } else {
+        productBuffer.push(finalProduct);
+        inFlight.delete(claimKey);
+        await pushBufferedData();
     }
+    return true;
 }
 
-function getProductsFromWindow(data) {
-    if (!data) return [];
-    return (
-        data.plp?.products ||
-        data.plp?.results ||
-        data.search?.products ||
-        data.search?.results ||
-        data.props?.pageProps?.searchResults?.products ||
-        data.props?.pageProps?.plp?.products ||
-        data.products ||
-        []
+/**
+ * Save the colour variants of a product as records sharing its group_id
+ * @param {Array} variants - Normalized sibling products
+ * @param {string} groupId - Shared colourway group ID
+ * @param {string|null} variantOf - Product ID of the listing product they were expanded from
+ * @param {object} context - Store, query, category and rank of the listing product, and the request's proxy transport
+ * @param {Array} detailRequests - Collects DETAIL requests for the caller to enqueue
+ * @returns {Promise<number>} - Number of variant records kept
+ */
+async function emitVariants(variants, groupId, variantOf, { store, query, category, rank, transport }, detailRequests) {
+    // Variants face the same price and sale filters; colour filters may drop siblings on purpose
+    const claimed = variants.filter(
+        (variant) =>
+            pricePasses(variant.price, minPrice, maxPrice) &&
+            passesFilters(variant, filters) &&
+            claimProductId(query, store, String(variant.id || '')),
     );
+    const kept = await mapWithConcurrency(claimed, RECORD_CONCURRENCY, async (variant) => {
+        const brand = resolveBrand(brandIndex, variant);
+        const record = transformToFinalFormat(
+            variant,
+            store,
+            { category, query, rank, groupId, variantOf, brand },
+            { format: outputFormat, image: imageOptions },
+        );
+        return emitRecord(record, variant, store, query, detailRequests, transport);
+    });
+    return kept.filter(Boolean).length;
 }
 
-function extractPagination(obj) {
-    const p = obj?.plp?.pagination || obj?.pagination;
-    if (!p) return null;
-    return {
-        page: Number(p.pageNumber ?? p.page ?? p.currentPage ?? 1),
-        pageSize: Number(p.pageSize ?? p.itemsPerPage ?? p.perPage ?? p.limit ?? 72),
-        totalPages: Number(p.totalPages ?? p.numberOfPages ?? p.pages ?? 0) || null,
-        totalResults: Number(p.totalResults ?? p.resultCount ?? p.total ?? 0) || null,
-    };
-}
+/**
+ * Expand a /grp/ page into one record per member product
+ * @param {object} context - Crawler request context for a GROUP request
+ */
+async function handleGroupPage(context) {
+    const { $, request, body, crawler: crawlerInstance } = context;
+    const store = storeConfigs.get(request.userData.store);
+    const query = queries.get(request.userData.query);
+    const { groupId, category, rank } = request.userData;
+    const html = body?.toString?.() || '';
+    log.info(`Processing product group ${groupId} (${store.key}): ${request.url}`);
+
+    const transport = apiTransport(context);
+    const memberIds = extractGroupMemberIds(html, $);
+    const members = await fetchProductSummaries(memberIds, store, transport);
+    if (!members.length) {
+        log.warning(`No member products found for group ${groupId} (${memberIds.length} IDs on the page)`);
+        await captureDebugPage(context, 'no group members', [
+            { stage: 'group members', products: memberIds.length, reason: memberIds.length ? 'product summaries API returned nothing' : 'no member IDs on the page' },
+        ]);
+        return;
+    }
 
-function extractPaginationFromUrl(url) {
-    const u = new URL(url);
-    const page = Number(u.searchParams.get('page') || 1);
-    return { page, pageSize: null, totalPages: null, totalResults: null };
+    const detailRequests = [];
+    const kept = await emitVariants(members, groupId, null, { store, query, category, rank, transport }, detailRequests);
+    log.info(`Saved ${kept} of ${members.length} products from group ${groupId}`);
+    await enqueueFollowUps(crawlerInstance, detailRequests);
 }
 
-function nextPageUrl(currentUrl, pageInfo, productsOnPage) {
-    if (!productsOnPage) return null;
-    const urlObj = new URL(currentUrl);
-    const currentPage = pageInfo?.page || Number(urlObj.searchParams.get('page') || 1);
-    const totalPages = pageInfo?.totalPages;
-    if (totalPages && currentPage >= totalPages) return null;
+/**
+ * Enrich a listing record from its product detail page and the stock-price endpoint
+ * @param {object} context - Crawler request context for a DETAIL request
+ */
+async function handleDetailPage(context) {
+    const { $, request, body } = context;
+    const store = storeConfigs.get(request.userData.store);
+    const record = request.userData.product;
+    const html = body?.toString?.() || '';
+    log.info(`Processing product detail (${store.key}): ${request.url}`);
+
+    const details = extractProductDetails(html, $);
+    const stock = await fetchStockPrice(record.product_id, store, apiTransport(context));
+    if (!details.variants.length && !stock) {
+        log.warning(`No size or stock data found for product ${record.product_id}`);
+        await captureDebugPage(context, 'no size or stock data', [
+            { stage: 'product page config', products: 0, reason: 'no variants on the page' },
+            { stage: 'stock-price API', products: 0, reason: 'no stock entry for the product' },
+        ]);
+    }
 
-    urlObj.searchParams.set('page', String(currentPage + 1));
-    return urlObj.toString();
+    const enriched = mergeProductDetails(record, details, stock, { image: imageOptions });
+    await processRecordImages(enriched, apiTransport(context));
+    productBuffer.push(enriched);
+    await pushBufferedData();
 }
 
-function pricePasses(priceObj, min, max) {
-    const value = extractPriceValue(priceObj);
-    if (min != null && value != null && value < min) return false;
-    if (max != null && value != null && value > max) return false;
-    return true;
+/**
+ * Query entry a watched product's record is tagged with; watched products have no listing and no resultsWanted budget
+ * @param {object} store - Resolved store config
+ * @param {string} id - Product ID
+ * @returns {object}
+ */
+function watchQuery(store, id) {
+    return { key: `${store.key}|product:${id}`, store: store.key, type: 'product', value: id, seenIds: new Set() };
 }
 
-function extractPriceValue(price) {
-    if (!price) return null;
-    const direct = price.current?.value ?? price.current?.price ?? price.value;
-    if (Number.isFinite(direct)) return direct;
-    return parsePriceText(price.current?.text || price.text);
+/**
+ * Record for a watched product the catalogue has no data for, so it is flagged instead of missing
+ * @param {object} store - Resolved store config
+ * @param {string} id - Product ID
+ * @param {string} status - `delisted` or `lookup_failed`
+ * @returns {object}
+ */
+function missingWatchRecord(store, id, status) {
+    const record = transformToFinalFormat(
+        { id, url: `prd/${id}` },
+        store,
+        { query: watchQuery(store, id) },
+        { format: outputFormat, image: imageOptions },
+    );
+    return flagMissingProduct(record, status);
 }
 
-function parsePriceText(text) {
-    if (!text) return null;
-    const match = text.replace(/,/g, '').match(/([0-9]+(?:\.[0-9]+)?)/);
-    return match ? Number(match[1]) : null;
+/**
+ * Mark a WATCHLIST request as done, successful or not
+ * @param {object} crawlerInstance - Running crawler
+ */
+function finishWatchlistBatch(crawlerInstance) {
+    pendingWatchlistBatches = Math.max(0, pendingWatchlistBatches - 1);
+    stopWhenDone(crawlerInstance);
+}
+
+/**
+ * Look up a batch of watched products through the product summaries and stock-price endpoints
+ * @param {object} context - Crawler request context for a WATCHLIST request (skipNavigation)
+ */
+async function handleWatchlistBatch(context) {
+    const { request, crawler: crawlerInstance } = context;
+    const store = storeConfigs.get(request.userData.store);
+    const { productIds: batch } = request.userData;
+    log.info(`Looking up ${batch.length} watched products (${store.key})`);
+
+    // A failed summaries call is retried by the crawler rather than reporting the whole batch as delisted
+    const transport = apiTransport(context);
+    const products = await fetchProductSummaries(batch, store, transport, { rethrow: true });
+    const stockById = new Map((await fetchStockPrices(batch, store, transport)).map((entry) => [String(entry.productId), entry]));
+    const found = new Map(products.map((p) => [p.id, p]));
+    learnBrandsFromProducts(brandIndex, products);
+    recordPage(runReport, { url: request.url, store: store.key, query: 'watchlist', method: 'REST API', products: products.length });
+
+    const detailRequests = [];
+    const delisted = batch.filter((id) => !found.has(id));
+    productBuffer.push(...delisted.map((id) => missingWatchRecord(store, id, 'delisted')));
+    const claimed = batch.filter((id) => found.has(id) && claimProductId(watchQuery(store, id), store, id));
+    await mapWithConcurrency(claimed, RECORD_CONCURRENCY, async (id) => {
+        const query = watchQuery(store, id);
+        const p = applyStockPrice(found.get(id), stockById.get(id));
+        const record = transformToFinalFormat(p, store, { query, brand: resolveBrand(brandIndex, p) }, { format: outputFormat, image: imageOptions });
+        record.watch_status = watchStatus(p);
+        await emitRecord(record, p, store, query, detailRequests, transport);
+    });
+    await pushBufferedData();
+
+    if (delisted.length) log.warning(`${delisted.length} of ${batch.length} watched products are no longer in the ${store.key} catalogue`);
+    await enqueueFollowUps(crawlerInstance, detailRequests);
 }
 
-function normalizeImageUrl(url) {
-    if (!url) return null;
-    let clean = String(url).trim();
+/**
+ * Fetch a listing page straight from the search/category API, without downloading the HTML page
+ * @param {object} context - Crawler request context for an API request (skipNavigation)
+ */
+async function handleApiListing(context) {
+    const { request } = context;
+    const store = storeConfigs.get(request.userData.store);
+    const query = queries.get(request.userData.query);
+    const listingLabel = `${store.key} ${query.type} "${query.value}"`;
+
+    if (query.shouldStop || query.saved >= resultsWanted) {
+        log.info(`Already reached target of ${resultsWanted} products for ${listingLabel}. Skipping request.`);
+        return;
+    }
 
-    // Handle protocol-relative URLs
-    if (clean.startsWith('//')) clean = `https:${clean}`;
+    // The API goes out through the same proxy session as the crawler's page requests
+    const transport = apiTransport(context);
+    if ((facetFiltersActive || exportFacets) && !query.facets) {
+        await loadQueryFacets(query, store, request.url, transport);
+    }
 
-    // If it's already a full URL with images.asos-media.com, don't prepend again
-    if (clean.includes('images.asos-media.com')) {
-        if (!clean.startsWith('http')) {
-            clean = `https://${clean.replace(/^\/+/, '')}`;
+    const { page } = extractPaginationFromUrl(request.url);
+    log.info(`Processing listing via API (${listingLabel}): page ${page}`);
+    const apiResponse = await fetchQueryAPI(store, request.url, page - 1, { transport, refine: query.refine });
+    trackOutcome(context, BLOCKED_STATUS_CODES.includes(apiResponse.statusCode));
+
+    if (apiResponse.error) {
+        await captureDebugPage(context, 'API listing failed', [{ stage: 'REST API', products: 0, reason: apiResponse.error }], {
+            statusCode: apiResponse.statusCode,
+        });
+        apiFailureStreak++;
+        log.warning(`API listing failed for ${listingLabel} page ${page}, falling back to the HTML page: ${apiResponse.error}`);
+        if (mode === 'auto' && apiFailureStreak === API_FAILURE_LIMIT) {
+            log.warning(`${API_FAILURE_LIMIT} API failures in a row - switching to HTML listing pages for the rest of the run`);
         }
-    } else if (!clean.startsWith('http')) {
-        // Handle relative paths
-        clean = `https://images.asos-media.com/${clean.replace(/^\/+/, '')}`;
-    }
-
-    // Remove query parameters first
-    clean = clean.split('?')[0];
-
-    // Handle URLs that end with '/' - replace with .jpg
-    if (clean.endsWith('/')) {
-        clean = clean.slice(0, -1) + '.jpg';
-    }
-
-    // ASOS images need proper extension if missing
-    if (!clean.match(/\.(jpg|jpeg|png|webp)$/i)) {
-        // Just add .jpg extension
-        clean = `${clean}.jpg`;
-    }
-
-    return clean;
-}
-
-function normalizeProduct(p) {
-    const id = String(p.id ?? p.productId ?? p.productid ?? p.product?.id ?? '');
-    const urlPath = p.url || p.productUrl || p.webUrl || null;
-    const productUrl = urlPath?.startsWith('http') ? urlPath : urlPath ? `https://www.asos.com${urlPath}` : null;
-    const currentPrice = extractPriceValue(p.price) ?? null;
-    const originalPrice = p.price?.previous?.value ?? p.price?.was?.value ?? p.price?.rrp?.value ?? null;
-    const rawImage = p.imageUrl || p.image || p.images?.[0]?.url || p.media?.images?.[0]?.url || null;
-
-    return {
-        id,
-        title: p.name || p.title || p.productTitle || null,
-        brand: p.brandName || p.brand?.name || null,
-        currency: p.price?.currency || p.price?.current?.symbol || null,
-        price_value: currentPrice,
-        price_text: p.price?.current?.text || (currentPrice != null ? String(currentPrice) : null),
-        original_price_value: originalPrice,
-        is_marked_down: Boolean(p.price?.isMarkedDown || (originalPrice && currentPrice && originalPrice > currentPrice)),
-        is_in_stock: p.isNoSize ? false : p.isInStock ?? true,
-        url: productUrl,
-        image_url: normalizeImageUrl(rawImage),
-        color: p.colour || p.colourWayLabel || null,
-        badge: p.badges?.[0]?.text || p.productType || null,
-    };
+        await enqueueListingPages(context.crawler, query, [listingRequest(query, request.url, request.userData)]);
+        return;
+    }
+    apiFailureStreak = 0;
+
+    const products = apiResponse.products.map((p) => normalizeApiProduct(p, store)).filter(Boolean);
+    // An empty first page can be a soft block or a changed payload rather than an empty listing, so the page decides
+    if (!products.length && page === 1 && mode === 'auto') {
+        recordPage(runReport, { url: request.url, store: store.key, query: query.value, method: 'REST API', products: 0 });
+        log.warning(`API returned no products for ${listingLabel} page 1, falling back to the HTML page`);
+        await enqueueListingPages(context.crawler, query, [listingRequest(query, request.url, request.userData)]);
+        return;
+    }
+    if (!products.length) {
+        recordPage(runReport, { url: request.url, store: store.key, query: query.value, method: 'REST API', products: 0 });
+        query.exhausted = true;
+        log.info(`No more products from the API for ${listingLabel}`);
+        return;
+    }
+    extractionStats.restApi++;
+    learnBrandsFromFacets(brandIndex, normalizeFacets(apiResponse.facets));
+    log.info(`✓ Extracted ${products.length} products via REST API`);
+
+    await saveListingProducts(
+        context,
+        {
+            products,
+            extractionMethod: 'REST API',
+            pagination: apiResponse.pagination,
+            categoryName: request.userData.categoryName || (query.categoryId ? apiResponse.categoryName : null),
+            // Facet checks can be skipped only when every filter value made it into the refinement
+            refinedByApi: Boolean(query.refine) && !query.unmatchedFilters.length,
+            stages: [{ stage: 'REST API', products: products.length, reason: null }],
+        },
+    );
 }
 
-function parseJsonSafe(str) {
-    if (!str) return null;
-    try {
-        return JSON.parse(str);
-    } catch {
-        // Sometimes HTML entities break parsing; try a relaxed cleanup
-        const cleaned = str.replace(/&quot;/g, '"');
-        try {
-            return JSON.parse(cleaned);
-        } catch {
-            return null;
+/**
+ * Save a page of listing products (or hand them to DETAIL/GROUP requests) and enqueue the next page
+ * @param {object} context - Crawler request context of the listing request
+ * @param {object} listing - Extracted page: products, extractionMethod, pagination, categoryName, refinedByApi
+ *   and the extraction stages tried
+ */
+async function saveListingProducts(context, { products, extractionMethod, pagination, categoryName, refinedByApi, stages = [] }) {
+    const { request, crawler: crawlerInstance } = context;
+    const store = storeConfigs.get(request.userData.store);
+    const query = queries.get(request.userData.query);
+    recordPage(runReport, { url: request.url, store: store.key, query: query.value, method: extractionMethod, products: products.length });
+
+    // Under half a page that is not known to be the last one usually means lazy-loaded tiles or a layout change
+    const pageSize = pagination?.pageSize || DEFAULT_PAGE_SIZE;
+    const isLastPage = pagination?.totalPages && extractPaginationFromUrl(request.url).page >= pagination.totalPages;
+    if (!isLastPage && products.length < pageSize / 2) {
+        await captureDebugPage(context, `low yield: ${products.length} products via ${extractionMethod}`, stages);
+    }
+    const { categoryId } = query;
+    const listingLabel = `${store.key} ${query.type} "${query.value}"`;
+
+    // Every payload brand on the page helps resolve DOM titles later, even if the product is filtered out
+    learnBrandsFromProducts(brandIndex, products);
+
+    // Everything listed in the outlet section is an outlet item, whether or not its tile says so
+    if (isOutletUrl(request.url) || /\boutlet\b/i.test(categoryName || '')) {
+        for (const p of products) p.isOutlet = true;
+    }
+
+    const filtered = products.filter(
+        (p) => pricePasses(p.price, minPrice, maxPrice) && passesFilters(p, filters, { refinedByApi }),
+    );
+    log.info(`Found ${filtered.length} products, saving ${scrapeDetails ? 'via detail pages' : 'directly'} (already have ${query.saved}/${resultsWanted} for ${listingLabel})`);
+
+    const category = categoryId ? { id: categoryId, name: categoryName || null } : null;
+    const pageNumber = extractPaginationFromUrl(request.url).page;
+    const pageOffset = (pageNumber - 1) * pageSize;
+    const detailRequests = [];
+    const claimed = [];
+    for (const p of filtered) {
+        // Slots are reserved before any await, so pages handled in parallel never save more than resultsWanted
+        if (!reserveSlot(query)) break;
+
+        const id = String(p.id || p.productId || '');
+        if (!claimProductId(query, store, id, { slot: true })) {
+            releaseSlot(query);
+            continue;
         }
+
+        // Rank is the product's position in the unfiltered listing for this query
+        const rank = pageOffset + products.indexOf(p) + 1;
+
+        // Group tiles (/grp/) stand for several products: their members are saved from the group page
+        if (expandColourways && p.isGroup) {
+            const claimKey = claimKeyOf(query, store, id);
+            pendingFollowUps++;
+            deferClaim(claimKey);
+            detailRequests.push({
+                url: absoluteUrl(p.url, store),
+                uniqueKey: `group:${query.key}:${id}`,
+                label: 'GROUP',
+                userData: { store: store.key, query: query.key, groupId: id, category, rank, claim: claimKey },
+            });
+            continue;
+        }
+        claimed.push({ p, id, rank });
     }
-}
 
-function infoDivAttr(tile, link, attr) {
-    return tile.find('[class*="productInfo"]').attr(attr) || link.attr(attr) || '';
+    // Colourways, reviews and images take requests of their own per product, so products are saved in parallel
+    const transport = apiTransport(context);
+    const saved = await mapWithConcurrency(claimed, RECORD_CONCURRENCY, async ({ p, id, rank }) => {
+        const colourways = expandColourways ? await loadColourways(p, store, transport) : { groupId: null, variants: [] };
+
+        // Transform to final output format
+        const finalProduct = transformToFinalFormat(
+            p,
+            store,
+            { category, query, rank, groupId: colourways.groupId, brand: resolveBrand(brandIndex, p) },
+            { format: outputFormat, image: imageOptions },
+        );
+
+        // Detail records are counted when enqueued so the listing stops at resultsWanted
+        if (!(await emitRecord(finalProduct, p, store, query, detailRequests, transport))) {
+            releaseSlot(query);
+            return false;
+        }
+
+        // Colour variants ride along with their listing product and do not count against resultsWanted
+        if (colourways.variants.length) {
+            const kept = await emitVariants(colourways.variants, colourways.groupId, id, { store, query, category, rank, transport }, detailRequests);
+            log.debug(`Expanded ${kept} colourways of product ${id}`);
+        }
+        return true;
+    });
+    log.info(`Saved ${saved.filter(Boolean).length} products from page ${pageNumber} (${query.saved}/${resultsWanted} for ${listingLabel})`);
+
+    if (detailRequests.length) {
+        log.info(`Enqueueing ${detailRequests.length} product detail and group pages`);
+        await enqueueFollowUps(crawlerInstance, detailRequests);
+    }
+
+    if (query.saved >= resultsWanted) {
+        log.info(`✓ Reached target of ${resultsWanted} products for ${listingLabel}!`);
+        stopWhenDone(crawlerInstance);
+        return;
+    }
+
+    // Listing pagination - with known totals, enqueue every page the remaining target needs so they load in parallel
+    const totalPages = pagination?.totalPages ?? null;
+    if (totalPages) {
+        if (pageNumber >= totalPages) {
+            query.exhausted = true;
+            log.info(`No more pages available`);
+            return;
+        }
+        const lastNeeded = Math.min(totalPages, pageNumber + Math.ceil((resultsWanted - query.saved) / pageSize));
+        const pageUrls = [];
+        for (let page = query.enqueuedThrough + 1; page <= lastNeeded; page++) pageUrls.push(pageUrl(request.url, page));
+        query.enqueuedThrough = Math.max(query.enqueuedThrough, lastNeeded);
+        if (pageUrls.length) {
+            log.info(`Enqueueing ${pageUrls.length} pages up to page ${lastNeeded} of ${totalPages} for ${listingLabel}`);
+            await enqueueListingPages(
+                crawlerInstance,
+                query,
+                pageUrls.map((url) => nextListingRequest(query, url, { ...request.userData, categoryName })),
+            );
+        }
+        return;
+    }
+
+    // Without totals (DOM fallback) pages can only be followed one at a time
+    const nextUrl = nextPageUrl(request.url, { page: pageNumber, totalPages: null }, products.length);
+    if (nextUrl) {
+        query.enqueuedThrough = Math.max(query.enqueuedThrough, pageNumber + 1);
+        log.info(`Enqueueing next page: ${nextUrl}`);
+        await enqueueListingPages(crawlerInstance, query, [nextListingRequest(query, nextUrl, { ...request.userData, categoryName })]);
+    } else {
+        query.exhausted = true;
+        log.info(`No more pages available`);
+    }
 }
 
-function parseDomProducts(html, $) {
-    const products = [];
-    const tiles = $('article, [data-testid="productTile"], li[class*="productTile"]');
+/**
+ * Extract a listing page from its HTML, trying the embedded page data before DOM parsing, and save its products
+ * @param {object} context - Crawler request context of the listing request
+ */
+async function handleListingPage(context) {
+    const { $, request, body } = context;
+    const store = storeConfigs.get(request.userData.store);
+    const query = queries.get(request.userData.query);
+    const { categoryId } = query;
+    let { categoryName } = request.userData;
+    const listingLabel = `${store.key} ${query.type} "${query.value}"`;
+
+    // Check if we should stop processing
+    if (query.shouldStop || query.saved >= resultsWanted) {
+        log.info(`Already reached target of ${resultsWanted} products for ${listingLabel}. Skipping request.`);
+        return;
+    }
+
+    const html = body?.toString?.() || '';
+    log.info(`Processing listing (${listingLabel}): ${request.url}`);
+
+    const title = html.match(/<title[^>]*>([^<]+)<\/title>/i)?.[1] || '';
+    log.info(`Page title: ${title}`);
+
+    let products = [];
+    let extractionMethod = null;
+    let pagination = null;
+
+    // Every stage tried, with why it found nothing, for debug captures
+    const stages = [];
+    const tried = (stage, count, reason = null) => stages.push({ stage, products: count, reason: count ? null : reason });
+
+    // WATERFALL EXTRACTION: window.asos -> REST API -> __NEXT_DATA__ -> DOM
+    // With facet refinements the refined REST API goes first, since page payloads are unfiltered
+
+    // Facets are probed once per query: they drive refinements and the optional facet export
+    if ((facetFiltersActive || exportFacets) && !query.facets) {
+        await loadQueryFacets(query, store, request.url, apiTransport(context));
+    }
 
-    tiles.each((i, el) => {
+    let refinedByApi = false;
+    const tryRestApi = async () => {
         try {
-            const tile = $(el);
-            const link = tile.find('a[class*="productLink"]').first();
-            const href = link.attr('href');
-            if (!href) return;
-
-            const idMatch = href.match(/\/prd\/(\d+)/i) || href.match(/\/grp\/(\d+)/i);
-            const id = idMatch ? idMatch[1] : `dom-${i}`;
-
-            // Image - ASOS uses lazy loading, check multiple attributes
-            const img = tile.find('img[class*="productImage"], img').first();
-            let imageUrl = null;
-
-            // Priority order: data-src (lazy load), src, srcset
-            imageUrl = img.attr('data-src') || img.attr('src');
-
-            // If still no image, try srcset
-            if (!imageUrl || imageUrl.includes('placeholder') || imageUrl.includes('data:image')) {
-                const srcset = img.attr('srcset') || img.attr('data-srcset');
-                if (srcset) {
-                    // Get first or highest quality image from srcset
-                    const srcsetImages = srcset.split(',').map(s => s.trim().split(' ')[0]);
-                    imageUrl = srcsetImages[0] || null;
-                }
-            }
-            
-            // If still no image, try to extract from href or construct from product ID
-            if (!imageUrl || imageUrl.includes('placeholder') || imageUrl.includes('data:image')) {
-                // Try to construct image URL from product ID - use a simpler approach
-                if (idMatch && idMatch[1]) {
-                    const productId = idMatch[1];
-                    // Extract color from title if available for better image URL
-                    let colorSlug = '';
-                    if (descriptionText) {
-                        const colorMatch = descriptionText.match(/in\s+([a-z]+(?:\s+[a-z]+)*?)(?:\s|$)/i);
-                        if (colorMatch) {
-                            colorSlug = colorMatch[1].toLowerCase().replace(/\s+/g, '');
-                        }
-                    }
-                    // Simple fallback: just use product ID with basic format
-                    imageUrl = `//images.asos-media.com/products/${productId}-1${colorSlug ? '-' + colorSlug : ''}`;
-                }
-            }
+            const urlObj = new URL(request.url);
+            const apiPage = Number(urlObj.searchParams.get('page') || 1) - 1; // API is 0-indexed
 
-            // Normalize and ensure proper format
-            if (imageUrl && !imageUrl.includes('placeholder') && !imageUrl.includes('data:image')) {
-                // If the URL already ends with .jpg, use it as-is
-                if (imageUrl.match(/\.(jpg|jpeg|png|webp)$/i)) {
-                    if (imageUrl.startsWith('//')) {
-                        imageUrl = `https:${imageUrl}`;
-                    } else if (!imageUrl.startsWith('http')) {
-                        imageUrl = `https://images.asos-media.com/${imageUrl.replace(/^\/+/, '')}`;
-                    }
-                } else {
-                    // Only apply normalization if it doesn't already have an extension
-                    imageUrl = normalizeImageUrl(imageUrl);
-                }
-            } else {
-                imageUrl = null;
+            const apiResponse = await fetchQueryAPI(store, request.url, apiPage, {
+                transport: apiTransport(context),
+                refine: query.refine,
+            });
+            if (categoryId) categoryName ||= apiResponse.categoryName;
+            learnBrandsFromFacets(brandIndex, normalizeFacets(apiResponse.facets));
+            tried('REST API', apiResponse.products?.length || 0, apiResponse.error || 'no products in API response');
+            if (apiResponse.products?.length) {
+                products = apiResponse.products.map((p) => normalizeApiProduct(p, store)).filter(Boolean);
+                pagination = apiResponse.pagination;
+                extractionMethod = 'REST API';
+                extractionStats.restApi++;
+                // Facet checks can be skipped only when every filter value made it into the refinement
+                refinedByApi = Boolean(query.refine) && !query.unmatchedFilters.length;
+                log.info(`✓ Extracted ${products.length} products via REST API${refinedByApi ? ' (refined)' : ''}`);
             }
+        } catch (apiError) {
+            tried('REST API', 0, apiError.message);
+            log.debug(`REST API extraction failed: ${apiError.message}`);
+        }
+    };
 
-            // Title & Brand
-            // Description often contains both Brand + Title or just Title
-            const descriptionText = tile.find('p[class*="productDescription"]').text().trim();
-            const ariaLabel = infoDivAttr(tile, link, 'aria-label');
-
-            // Try to extract brand from title
-            // ASOS titles follow: "Brand Name product description"
-            // Brand is capitalized, product description starts with lowercase
-            let brandName = null;
-            if (descriptionText) {
-                // Special case for adidas brands (handles both capitalized and lowercase)
-                // Examples: "adidas performance", "adidas Running", "adidas Originals"
-                const adidasMatch = descriptionText.match(/^adidas\s+([A-Za-z]+)/i);
-                if (adidasMatch) {
-                    // Capitalize properly: "adidas Performance", "adidas Running"
-                    const subBrand = adidasMatch[1].charAt(0).toUpperCase() + adidasMatch[1].slice(1).toLowerCase();
-                    brandName = `adidas ${subBrand}`;
-                } else {
-                    // Match only capitalized words, stop at first lowercase word or common product descriptor
-                    // This handles: "New Balance", "Polo Ralph Lauren", "ASOS DESIGN"
-                    // But removes product words like: "Maxwell", "Marland", "Gorham"
-                    const brandMatch = descriptionText.match(/^([A-Z][A-Za-z]*(?:\s+[A-Z][A-Za-z]*)*?)\s+[a-z]/);
-                    if (brandMatch) {
-                        brandName = brandMatch[1].trim();
-                        // Remove common product line names (single capitalized word at end)
-                        // Keep multi-word brands: "Polo Ralph Lauren" but remove "Maxwell"
-                        const words = brandName.split(' ');
-                        if (words.length > 2 && words[words.length - 1].match(/^[A-Z][a-z]+$/)) {
-                            // If last word is title case and brand has 3+ words, check if it's a product line
-                            const lastWord = words[words.length - 1];
-                            if (lastWord !== 'Lauren' && lastWord !== 'London' && !lastWord.match(/^(Co|Inc|Ltd|DESIGN|Collection)$/)) {
-                                brandName = words.slice(0, -1).join(' ');
-                            }
-                        }
-                    } else {
-                        // Fallback: if entire title is capitalized (like "ASOS DESIGN")
-                        const fallbackMatch = descriptionText.match(/^([A-Z][A-Z\s&]+)/);
-                        if (fallbackMatch) {
-                            brandName = fallbackMatch[1].trim().split(/\s{2,}/)[0]; // Stop at double space
-                        }
-                    }
-                    
-                    // Additional fallback: extract first 2-4 capitalized words if still no brand
-                    if (!brandName) {
-                        const capitalWords = descriptionText.match(/^([A-Z][A-Za-z]+(?:\s+[A-Z&][A-Za-z]*){0,3})/);
-                        if (capitalWords) {
-                            const extracted = capitalWords[1].trim();
-                            // Stop before size indicators or common modifiers
-                            const cleanBrand = extracted.replace(/\s+(Big|Tall|Plus|Size|Collection).*$/i, '').trim();
-                            if (cleanBrand.length > 2) {
-                                brandName = cleanBrand;
-                            }
-                        }
-                    }
-                }
-            }
+    if (query.refine) await tryRestApi();
 
-            // Prices - extract both current and previous (was) prices
-            const priceSection = tile.find('span[class*="price"]').first().parent();
-            const currentPriceText = tile.find('span[data-testid="current-price"]').text() ||
-                tile.find('span[class*="currentPrice"]').text() ||
-                tile.find('span[class*="saleAmount"]').text() ||
-                tile.find('span[class*="price"]').first().text();
-
-            // Try to find previous/was price
-            const previousPriceText = tile.find('span[data-testid="previous-price"]').text() ||
-                tile.find('span[class*="previousPrice"]').text() ||
-                tile.find('span[class*="wasPrice"]').text() ||
-                priceSection.find('span:contains("Was")').text().replace(/Was\s*/i, '') ||
-                null;
-
-            const priceVal = parsePriceText(currentPriceText);
-            const previousPriceVal = parsePriceText(previousPriceText);
-
-            // Aria-label is usually "Title, current price $XX, original price $YY"
-            let title = descriptionText;
-            if (!title && ariaLabel) {
-                title = ariaLabel.split(/current price|Original price/i)[0].replace(/,$/, '').trim();
-            }
+    // 1. Try window.asos (most reliable for SSR pages)
+    const windowAsos = products.length ? null : extractWindowAsos(html);
+    if (!products.length) {
+        products = getProductsFromWindow(windowAsos);
+        tried('window.asos', products.length, windowAsos ? 'no products in window.asos' : 'window.asos not found in page');
+        if (products.length) {
+            extractionMethod = 'window.asos';
+            extractionStats.windowAsos++;
+            pagination = extractPagination(windowAsos);
+            if (categoryId) categoryName ||= extractCategoryName(windowAsos, $);
+            log.info(`✓ Extracted ${products.length} products via window.asos`);
+        }
+    }
 
-            // Clean title if it contains price
-            if (title && priceVal) {
-                title = title.replace(/\s*[£$€]\d+\.\d+.*$/, '').trim();
-            }
+    // 2. Try REST API (more stable than DOM, faster than full page render)
+    if (!products.length && !query.refine) await tryRestApi();
 
-            // Currency
-            let currency = null;
-            if (currentPriceText) {
-                const currencyMatch = currentPriceText.match(/[$£€]/);
-                if (currencyMatch) currency = currencyMatch[0];
-            }
+    // 3. Try __NEXT_DATA__ (Next.js fallback)
+    if (!products.length) {
+        const nextData = extractNextData(html);
+        products = getProductsFromWindow(nextData);
+        tried('__NEXT_DATA__', products.length, nextData ? 'no products in __NEXT_DATA__' : '__NEXT_DATA__ not found in page');
+        if (products.length) {
+            extractionMethod = '__NEXT_DATA__';
+            extractionStats.nextData++;
+            pagination = extractPagination(nextData);
+            if (categoryId) categoryName ||= extractCategoryName(nextData, $);
+            log.info(`✓ Extracted ${products.length} products via __NEXT_DATA__`);
+        }
+    }
 
-            // Try to extract color from title or aria-label
-            // Colors appear as "in [color]" but stop before extra descriptors
-            let color = null;
-
-            // First try from title/description
-            if (title || descriptionText) {
-                const text = title || descriptionText;
-                // Match "in [color]" but stop at common separators
-                const colorMatch = text.match(/\s+in\s+([a-z][a-z\s/-]+?)(?:\s+(?:with|Exclusive|nubuck|leather|suede|fabric|-|$)|$)/i);
-                if (colorMatch) {
-                    color = colorMatch[1].trim();
-                    // Clean up: remove trailing material words
-                    color = color.replace(/\s+(leather|suede|nubuck|fabric|material|print|croc)$/i, '').trim();
-                }
-            }
+    // 4. Fallback: DOM Parsing (last resort)
+    if (!products.length) {
+        products = parseDomProducts(html, $);
+        tried('DOM parsing', products.length, 'no product tiles matched');
+        if (products.length) {
+            extractionMethod = 'DOM parsing';
+            extractionStats.domParsing++;
+            pagination = extractPaginationFromUrl(request.url);
+            if (categoryId) categoryName ||= extractCategoryName(null, $);
+            log.info(`✓ Recovered ${products.length} products via DOM parsing`);
+        }
+    }
 
-            // Fallback: try aria-label
-            if (!color && ariaLabel) {
-                const colorMatch = ariaLabel.match(/\s+in\s+([a-z][a-z\s/-]+?)(?:,|\s+current|\s+with|$)/i);
-                if (colorMatch) {
-                    color = colorMatch[1].trim();
-                    color = color.replace(/\s+(leather|suede|nubuck|fabric|material)$/i, '').trim();
-                }
-            }
+    if (!products.length) {
+        log.warning(`✗ No products found on ${request.url} after all extraction methods`);
+        recordPage(runReport, { url: request.url, store: store.key, query: query.value, method: null, products: 0 });
+        if (debugCapture) await captureDebugPage(context, 'no products found', stages);
+        else await Actor.setValue('DEBUG_HTML_LISTING', html, { contentType: 'text/html' });
+        return;
+    }
 
-            // Badge / Product Type - extract and clean up
-            const badgeElements = tile.find('div[class*="sellingFast"], span[class*="overlay"], div[class*="badge"], span[class*="badge"]');
-            let badges = [];
+    await saveListingProducts(context, { products, extractionMethod, pagination, categoryName, refinedByApi, stages });
+}
 
-            badgeElements.each((idx, el) => {
-                const badgeText = $(el).text().trim();
-                if (badgeText && badgeText.length > 0) {
-                    badges.push(badgeText);
-                }
-            });
+const crawler = new CheerioCrawler({
+    proxyConfiguration,
+    maxRequestRetries: 2,
+    maxConcurrency: MAX_CONCURRENCY,
+    // Reviews, colourways and image checks or downloads add requests per product, even when loaded in parallel
+    requestHandlerTimeoutSecs: includeReviews || expandColourways || verifyImages || downloadImages ? 180 : 60,
+    useSessionPool: true,
+    sessionPoolOptions: { maxPoolSize: 20, sessionOptions: { maxUsageCount: 15 } },
+    additionalMimeTypes: ['text/html'],
+    preNavigationHooks: [
+        async ({ request, session }) => {
+            const headers = sessionHeaders(session, request.userData.store);
+            request.headers = { ...headers, ...request.headers };
 
-            // Clean and deduplicate badges
-            badges = [...new Set(badges)];
-            const badge = badges.length > 0 ? badges.join(' | ') : null;
-
-            products.push({
-                id,
-                name: title,
-                url: href,
-                imageUrl,
-                price: {
-                    current: { value: priceVal, text: currentPriceText },
-                    previous: { value: previousPriceVal, text: previousPriceText },
-                    was: { value: previousPriceVal },
-                    rrp: { value: previousPriceVal },
-                    isMarkedDown: previousPriceVal && priceVal && previousPriceVal > priceVal,
-                },
-                brandName: brandName,
-                colour: color,
-                isMarkedDown: previousPriceVal && priceVal && previousPriceVal > priceVal,
-                currency: currency,
-                badge: badge,
-                productType: badge,
-                badges: badge ? [{ text: badge }] : [],
-            });
-        } catch (e) {
-            // Ignore (log.debug(e.message) if needed)
+            await requestDelay();
+        },
+    ],
+    async requestHandler(context) {
+        const { request, body } = context;
+        // API and watchlist calls skip navigation and with it the pre-navigation hooks, so they wait here instead
+        if (request.skipNavigation) await requestDelay();
+        if (request.label === 'API') {
+            await handleApiListing(context);
+            finishListingPage(context.crawler, request);
+            return;
         }
-    });
+        if (request.label === 'WATCHLIST') {
+            await handleWatchlistBatch(context);
+            finishWatchlistBatch(context.crawler);
+            return;
+        }
+
+        // Challenge and denial pages are retried on a new session instead of being parsed as empty listings
+        const blockReason = detectBlock(body?.toString?.() || '');
+        if (blockReason) {
+            await captureDebugPage(context, `blocked: ${blockReason}`);
+            throw new BlockedError(blockReason);
+        }
+        trackOutcome(context, false);
+        if (request.label === 'DETAIL') {
+            await handleDetailPage(context);
+            finishFollowUp(context.crawler);
+            return;
+        }
+        if (request.label === 'GROUP') {
+            await handleGroupPage(context);
+            finishFollowUp(context.crawler);
+            return;
+        }
+
+        await handleListingPage(context);
+        finishListingPage(context.crawler, request);
+    },
+    async errorHandler(context, error) {
+        if (isBlockError(error)) trackOutcome(context, true);
+    },
+    async failedRequestHandler(context, error) {
+        const { request } = context;
+        if (isBlockError(error)) trackOutcome(context, true);
+        recordFailure(runReport, request, error);
+        if (!isBlockError(error)) await captureDebugPage(context, `failed: ${error.message}`);
+        if (request.label === 'DETAIL' || request.label === 'GROUP') finishFollowUp(context.crawler);
+        if (!request.label || request.label === 'API') finishListingPage(context.crawler, request);
+
+        // Watched products stay in the output, flagged, when their lookup kept failing
+        if (request.label === 'WATCHLIST') {
+            const store = storeConfigs.get(request.userData.store);
+            log.warning(`Watchlist lookup failed for ${request.userData.productIds.length} products (${store.key}): ${error.message}`);
+            productBuffer.push(...request.userData.productIds.map((id) => missingWatchRecord(store, id, 'lookup_failed')));
+            await pushBufferedData();
+            finishWatchlistBatch(context.crawler);
+            return;
+        }
+
+        // Keep the listing record rather than losing a product whose detail page kept failing
+        if (request.label === 'DETAIL') {
+            log.warning(`Detail page failed for ${request.userData.product.product_id}, saving listing data only: ${error.message}`);
+            const record = { ...request.userData.product, details_scraped: false };
+            await processRecordImages(record, apiTransport(context));
+            productBuffer.push(record);
+            await pushBufferedData();
+            return;
+        }
+        log.error(`Request failed: ${request.url} - ${error.message}`);
+    },
+});
+
+// ========================================
+// EXECUTION
+// ========================================
+
+await crawler.run([...[...queries.values()].map((query) => startRequest(query, { api: useApiListing() })), ...watchlistRequests]);
 
-    return products;
+log.info('Crawl finished.');
+
+// Log extraction method statistics for monitoring
+log.info('Extraction method usage:', extractionStats);
+for (const { group, requests, blocked, block_rate: rate } of blockRates(backoff)) {
+    log.info(`Proxy group ${group}: ${blocked} of ${requests} requests blocked (${(rate * 100).toFixed(1)}%)`);
+}
+
+runReport.requestsFinished = crawler.stats.state.requestsFinished;
+const report = summarizeRunReport(runReport, { extraction_methods: extractionStats, block_rates: blockRates(backoff) });
+const health = checkHealth(report, healthThresholds);
+await Actor.setValue('RUN_REPORT', { ...report, health: { ...health, thresholds: healthThresholds } });
+log.info(`Saved run report to key-value store key RUN_REPORT (${report.pages_fetched} pages, ${report.records_saved} records)`);
+
+await pushBufferedData(true);
+if (imageStore) await saveImageStore(imageStore);
+
+if (priceHistory) {
+    // Only fully crawled queries can tell a delisted product from one beyond resultsWanted
+    const removed = collectRemoved(priceHistory, [...queries.values()].filter((q) => q.exhausted), runStartedAt);
+    if (removed.length) {
+        await changesDataset.pushData(removed);
+        changeCounts.removed = (changeCounts.removed || 0) + removed.length;
+    }
+    await savePriceHistory(priceHistory);
+    const total = Object.values(changeCounts).reduce((sum, count) => sum + count, 0);
+    await Actor.setValue('CHANGES', { run_started_at: runStartedAt, dataset: changesDatasetName, total, counts: changeCounts });
+    log.info(`Saved ${total} changes since the previous run to dataset ${changesDatasetName}`, changeCounts);
 }
 
+// Export files hold every record of the run's dataset, including records saved before a migration
+if (exportFormats.length) {
+    const records = await (await Dataset.open()).map((record) => record);
+    const files = await exportRecords(records, { formats: exportFormats, columns: exportColumns, exclude: exportExclude, arrays: exportArrays });
+    for (const { format, key, rows } of files) log.info(`Exported ${rows} records as ${format} to key-value store key ${key}`);
+}
+
+// Data is saved either way; a failed health check marks the run failed so monitoring notices layout changes
+if (!health.passed) {
+    await Actor.fail(`Run health check failed: ${health.violations.join('; ')}`);
+}
+
+await Actor.exit();
@@ -0,0 +1,59 @@
+// Price points and outlet detection - previous, was and RRP prices kept apart, with a discount against each
+import { extractPriceValue } from './utils.js';
+
+/**
+ * Price a product is reduced from: the previous price, else the was price, else the RRP
+ * @param {object} price - Product price object
+ * @returns {number|null}
+ */
+export function referencePrice(price) {
+    return price?.previous?.value ?? price?.was?.value ?? price?.rrp?.value ?? null;
+}
+
+/**
+ * Discount of a price against a higher reference price, in whole percent
+ * @param {number|null} current - Current price
+ * @param {number|null} reference - Price to compare against
+ * @returns {number|null} - Null when either price is missing or the reference is not higher
+ */
+export function discountAgainst(current, reference) {
+    if (!reference || !current || reference <= current) return null;
+    return Math.round(((reference - current) / reference) * 100);
+}
+
+/**
+ * Discounts against the previous selling price and against the RRP, which ASOS shows side by side on outlet items
+ * @param {object} price - Product price object
+ * @returns {{ previous: number|null, rrp: number|null }} - Percentages; previous falls back to the was price
+ */
+export function priceDiscounts(price) {
+    const current = extractPriceValue(price);
+    return {
+        previous: discountAgainst(current, price?.previous?.value ?? price?.was?.value ?? null),
+        rrp: discountAgainst(current, price?.rrp?.value ?? null),
+    };
+}
+
+/**
+ * Whether a listing URL belongs to the outlet section, e.g. /men/outlet/cat/?cid=27396
+ * @param {string} url - Listing URL
+ * @returns {boolean}
+ */
+export function isOutletUrl(url) {
+    try {
+        return /(^|\/)outlet(\/|$)/i.test(new URL(url).pathname);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Whether a product is an outlet item, from the API outlet price flag, an outlet badge or its outlet listing
+ * @param {object} p - Product from listing extraction or the API
+ * @returns {boolean}
+ */
+export function isOutletProduct(p) {
+    if (p.isOutlet || p.price?.isOutletPrice) return true;
+    const badges = [p.badge, ...(p.badges || []).map((b) => (typeof b === 'string' ? b : b.text || b.label || b.type))];
+    return badges.some((text) => /\boutlet\b/i.test(text || ''));
+}
@@ -0,0 +1,127 @@
+// Run diagnostics - pages, extraction methods, field fill rates and failures, checked against health thresholds
+
+// Output fields whose fill rate shows whether extraction still finds what it should
+const TRACKED_FIELDS = ['brand', 'color', 'image_url', 'original_price'];
+
+// Health threshold inputs and how each is checked against the report
+const HEALTH_CHECKS = {
+    maxDomFallbackPercent: (summary) => ({ value: summary.dom_fallback_percent, exceeds: (value, limit) => value > limit }),
+    maxFailedRequestPercent: (summary) => ({ value: summary.failed_request_percent, exceeds: (value, limit) => value > limit }),
+    minBrandFillPercent: (summary) => ({ value: summary.field_fill_percent.brand, exceeds: (value, limit) => value < limit }),
+    minColorFillPercent: (summary) => ({ value: summary.field_fill_percent.color, exceeds: (value, limit) => value < limit }),
+    minImageFillPercent: (summary) => ({ value: summary.field_fill_percent.image_url, exceeds: (value, limit) => value < limit }),
+};
+
+const percent = (part, total) => (total ? Math.round((part / total) * 1000) / 10 : null);
+
+/**
+ * Create empty run diagnostics
+ * @returns {object} - Counters filled in while the crawl runs
+ */
+export function createRunReport() {
+    return {
+        startedAt: new Date().toISOString(),
+        pages: [],
+        records: 0,
+        filled: Object.fromEntries(TRACKED_FIELDS.map((field) => [field, 0])),
+        duplicatesSkipped: 0,
+        droppedMissingFields: 0,
+        requestsFinished: 0,
+        failures: [],
+    };
+}
+
+/**
+ * Record a processed listing page
+ * @param {object} report - Output of createRunReport
+ * @param {object} page - { url, store, query, method, products } where method is null when nothing was extracted
+ */
+export function recordPage(report, { url, store, query, method, products }) {
+    report.pages.push({ url, store, query, method: method || null, products });
+}
+
+/**
+ * Count which tracked fields a saved record has filled
+ * @param {object} report - Output of createRunReport
+ * @param {object} record - Final output record
+ */
+export function recordSaved(report, record) {
+    report.records++;
+    for (const field of TRACKED_FIELDS) {
+        if (record[field] !== null && record[field] !== undefined && record[field] !== '') report.filled[field]++;
+    }
+}
+
+/**
+ * Record a request that failed after all retries
+ * @param {object} report - Output of createRunReport
+ * @param {object} request - Crawler request
+ * @param {Error} error - Last error
+ */
+export function recordFailure(report, request, error) {
+    report.failures.push({ url: request.url, label: request.label || 'LISTING', error: error.message, retries: request.retryCount });
+}
+
+/**
+ * Summarize the run into the RUN_REPORT record
+ * @param {object} report - Output of createRunReport
+ * @param {object} extras - Extra sections to include as-is, e.g. block_rates
+ * @returns {object} - Structured report
+ */
+export function summarizeRunReport(report, extras = {}) {
+    const pagesByMethod = {};
+    for (const page of report.pages) {
+        const method = page.method || 'none';
+        pagesByMethod[method] = (pagesByMethod[method] || 0) + 1;
+    }
+    const productsFound = report.pages.reduce((sum, page) => sum + page.products, 0);
+    const extractedPages = report.pages.filter((page) => page.method).length;
+    const requests = report.requestsFinished + report.failures.length;
+
+    return {
+        started_at: report.startedAt,
+        finished_at: new Date().toISOString(),
+        pages_fetched: report.pages.length,
+        pages_by_method: pagesByMethod,
+        dom_fallback_percent: percent(pagesByMethod['DOM parsing'] || 0, extractedPages),
+        products_found: productsFound,
+        products_per_page: report.pages.length ? Math.round((productsFound / report.pages.length) * 10) / 10 : null,
+        records_saved: report.records,
+        field_fill_percent: Object.fromEntries(TRACKED_FIELDS.map((field) => [field, percent(report.filled[field], report.records)])),
+        duplicates_skipped: report.duplicatesSkipped,
+        dropped_missing_fields: report.droppedMissingFields,
+        failed_requests: report.failures.length,
+        failed_request_percent: percent(report.failures.length, requests),
+        failures: report.failures,
+        ...extras,
+        pages: report.pages,
+    };
+}
+
+/**
+ * Reject threshold names the report cannot check, before the run starts
+ * @param {object} thresholds - Health thresholds from input
+ */
+export function validateHealthThresholds(thresholds = {}) {
+    const unknown = Object.keys(thresholds || {}).filter((name) => !HEALTH_CHECKS[name]);
+    if (unknown.length) {
+        throw new Error(`Unknown health thresholds: ${unknown.join(', ')}. Supported: ${Object.keys(HEALTH_CHECKS).join(', ')}`);
+    }
+}
+
+/**
+ * Check a summarized report against health thresholds; checks without data are skipped
+ * @param {object} summary - Output of summarizeRunReport
+ * @param {object} thresholds - Limits in percent, e.g. { maxDomFallbackPercent: 20, minBrandFillPercent: 80 }
+ * @returns {{ passed: boolean, violations: string[] }}
+ */
+export function checkHealth(summary, thresholds = {}) {
+    const violations = [];
+    for (const [name, limit] of Object.entries(thresholds || {})) {
+        const check = HEALTH_CHECKS[name];
+        if (!check || limit === null || limit === undefined) continue;
+        const { value, exceeds } = check(summary);
+        if (value !== null && exceeds(value, Number(limit))) violations.push(`${name} is ${limit}% but the run measured ${value}%`);
+    }
+    return { passed: violations.length === 0, violations };
+}
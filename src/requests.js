@@ -0,0 +1,35 @@
+// Crawler requests - listing pages as API calls or HTML pages, and the first request of each query
+import { parseAsosUrl } from './urls.js';
+
+/**
+ * Build the crawler request for a listing page: an API call that skips the page download, or the HTML page. Pages
+ * of URLs that are no search, category or brand listing have no API equivalent and are always HTML pages
+ * @param {object} query - Query entry from the queries map
+ * @param {string} url - Listing URL; its page param drives the API offset
+ * @param {object} userData - userData of the request it follows from (store, query, categoryName); its label is dropped
+ * @param {object} options - `api` builds the API call instead of the HTML page, e.g. false for the fallback of a failed API call
+ * @returns {object} - Request for crawler.addRequests
+ */
+export function listingRequest(query, url, userData, { api = false } = {}) {
+    // Crawlee keeps the label in userData, so a follow-up of an API request would otherwise be routed as one again
+    const { label, ...data } = userData;
+    if (!api || parseAsosUrl(url).type === 'other') return { url, uniqueKey: `${query.key}|${url}`, userData: data };
+    return { url, uniqueKey: `${query.key}|api|${url}`, label: 'API', skipNavigation: true, userData: data };
+}
+
+/**
+ * First request of a query: its listing page, or for a /grp/ start URL the group page whose members it saves
+ * @param {object} query - Query entry from the queries map
+ * @param {object} options - `api` as for listingRequest
+ * @returns {object} - Request for crawler.run
+ */
+export function startRequest(query, { api = false } = {}) {
+    const { type, groupId } = parseAsosUrl(query.url);
+    if (query.type !== 'url' || type !== 'group') return listingRequest(query, query.url, { store: query.store, query: query.key }, { api });
+    return {
+        url: query.url,
+        uniqueKey: `group:${query.key}:${groupId}`,
+        label: 'GROUP',
+        userData: { store: query.store, query: query.key, groupId, category: null, rank: null },
+    };
+}
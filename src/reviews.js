@@ -0,0 +1,78 @@
+// Ratings and reviews - rating statistics and the most recent review texts from the ASOS reviews endpoint
+import { fetchProductReviews } from './api.js';
+
+/**
+ * Size and fit feedback of a review, from whichever secondary rating covers it
+ * @param {object} secondaryRatings - Secondary ratings keyed by name, e.g. { Size: { value, valueLabel } }
+ * @returns {string|null}
+ */
+function sizeFitFeedback(secondaryRatings = {}) {
+    const rating = Object.entries(secondaryRatings || {}).find(([name]) => /size|fit/i.test(name))?.[1];
+    if (!rating) return null;
+    return rating.valueLabel || (rating.value != null ? `${rating.value}/${rating.valueRange ?? 5}` : null);
+}
+
+/**
+ * Normalize a reviews response into rating statistics and reviews
+ * @param {object|null} body - Output of fetchProductReviews
+ * @param {string} productId - Product the reviews belong to
+ * @returns {{ summary: object, reviews: Array }|null} - Null when the endpoint failed
+ */
+export function normalizeReviews(body, productId) {
+    if (!body) return null;
+    const stats = body.includes?.products?.[productId]?.reviewStatistics || body.reviewStatistics || {};
+
+    // Every star value is present so distributions line up across products
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    for (const { ratingValue, count } of stats.ratingDistribution || []) distribution[ratingValue] = count;
+    const average = stats.averageOverallRating ?? null;
+
+    return {
+        summary: {
+            rating: average != null ? Math.round(average * 10) / 10 : null,
+            rating_count: Object.values(distribution).reduce((sum, count) => sum + count, 0),
+            review_count: stats.totalReviewCount ?? body.totalResults ?? 0,
+            rating_distribution: distribution,
+        },
+        reviews: (body.results || []).map((review) => ({
+            review_id: String(review.id ?? ''),
+            date: review.submissionTime || null,
+            rating: review.rating ?? null,
+            title: review.title || null,
+            text: review.reviewText || null,
+            size_fit: sizeFitFeedback(review.secondaryRatings),
+            author: review.userNickname || null,
+            recommended: review.isRecommended ?? null,
+        })),
+    };
+}
+
+/**
+ * Load a product's rating statistics and up to maxReviews of its newest reviews
+ * @param {string} productId - ASOS product ID
+ * @param {object} store - Resolved store config
+ * @param {object} transport - Proxy session shared with the crawler request
+ * @param {number} maxReviews - Review texts wanted; 0 loads the statistics only
+ * @returns {Promise<{ summary: object, reviews: Array }|null>}
+ */
+export async function loadReviews(productId, store, transport, maxReviews = 0) {
+    const reviews = normalizeReviews(await fetchProductReviews(productId, store, transport, Math.max(1, maxReviews)), productId);
+    return reviews && { summary: reviews.summary, reviews: reviews.reviews.slice(0, maxReviews) };
+}
+
+/**
+ * Record fields for loaded reviews; a failed load leaves the statistics empty rather than zero
+ * @param {object|null} reviews - Output of loadReviews
+ * @param {number} maxReviews - Review texts wanted; recent_reviews is only added when above 0
+ * @returns {object} - rating, rating_count, review_count, rating_distribution and recent_reviews
+ */
+export function reviewFields(reviews, maxReviews = 0) {
+    const fields = {
+        rating: reviews?.summary.rating ?? null,
+        rating_count: reviews?.summary.rating_count ?? null,
+        review_count: reviews?.summary.review_count ?? null,
+        rating_distribution: reviews?.summary.rating_distribution ?? null,
+    };
+    if (maxReviews > 0) fields.recent_reviews = reviews?.reviews ?? [];
+    return fields;
+}
@@ -0,0 +1,72 @@
+// Crawl state - per-query progress persisted across migrations and restarts
+
+/**
+ * JSON-safe snapshot of every query's progress, leaving out products claimed but not yet buffered or enqueued
+ * @param {Map} queries - Queries map from main.js
+ * @param {Map} inFlight - Open claims as { query, dedupeKey, slot, followUp }, keyed by claim key
+ * @returns {object} - Progress keyed by query key
+ */
+export function snapshotQueries(queries, inFlight = new Map()) {
+    return Object.fromEntries(
+        [...queries.values()].map((query) => {
+            const open = [...inFlight.values()].filter((claim) => claim.query === query.key);
+            const openIds = new Set(open.map((claim) => claim.dedupeKey));
+            const openSlots = open.filter((claim) => claim.slot).length;
+            return [
+                query.key,
+                {
+                    seenIds: [...query.seenIds].filter((id) => !openIds.has(id)),
+                    saved: query.saved - openSlots,
+                    shouldStop: query.shouldStop && !openSlots,
+                    exhausted: Boolean(query.exhausted),
+                    enqueuedThrough: query.enqueuedThrough,
+                    pagesLeft: query.pagesLeft,
+                    facets: query.facets ?? null,
+                    refine: query.refine ?? null,
+                    unmatchedFilters: query.unmatchedFilters ?? [],
+                },
+            ];
+        }),
+    );
+}
+
+/**
+ * Snapshot of crawl progress in which every claimed product ID is buffered, in the dataset or enqueued; products
+ * still being processed, e.g. awaiting reviews or a DETAIL request not enqueued yet, are crawled again on resume
+ * @param {object} progress - `queries`, `runSeenIds`, `pendingFollowUps` and `inFlight`, the open claims
+ * @returns {{ queries: object, runSeenIds: string[], pendingFollowUps: number }}
+ */
+export function snapshotProgress({ queries, runSeenIds, pendingFollowUps, inFlight = new Map() }) {
+    const openIds = new Set([...inFlight.values()].map((claim) => claim.dedupeKey));
+    const openFollowUps = [...inFlight.values()].filter((claim) => claim.followUp).length;
+    return {
+        queries: snapshotQueries(queries, inFlight),
+        runSeenIds: [...runSeenIds].filter((id) => !openIds.has(id)),
+        pendingFollowUps: Math.max(0, pendingFollowUps - openFollowUps),
+    };
+}
+
+/**
+ * Apply a snapshot to the queries of this run; queries the snapshot does not know start fresh
+ * @param {Map} queries - Queries map from main.js
+ * @param {object} snapshot - Output of snapshotQueries
+ * @returns {number} - Number of queries restored
+ */
+export function restoreQueries(queries, snapshot = {}) {
+    let restored = 0;
+    for (const [key, saved] of Object.entries(snapshot || {})) {
+        const query = queries.get(key);
+        if (!query) continue;
+        query.seenIds = new Set(saved.seenIds);
+        query.saved = saved.saved;
+        query.shouldStop = saved.shouldStop;
+        if (saved.exhausted) query.exhausted = true;
+        if (saved.enqueuedThrough) query.enqueuedThrough = saved.enqueuedThrough;
+        query.pagesLeft = saved.pagesLeft;
+        if (saved.facets) query.facets = saved.facets;
+        if (saved.refine) query.refine = saved.refine;
+        if (saved.facets) query.unmatchedFilters = saved.unmatchedFilters;
+        restored++;
+    }
+    return restored;
+}
@@ -0,0 +1,74 @@
+// ASOS storefronts - store lookup and URL helpers
+
+// Storefronts differ in domain/path prefix, API store code, currency and language
+export const STORES = {
+    UK: { code: 'COM', country: 'GB', origin: 'https://www.asos.com', path: '', currency: 'GBP', lang: 'en-GB' },
+    US: { code: 'US', country: 'US', origin: 'https://www.asos.com', path: '/us', currency: 'USD', lang: 'en-US' },
+    DE: { code: 'DE', country: 'DE', origin: 'https://www.asos.de', path: '', currency: 'EUR', lang: 'de-DE' },
+    FR: { code: 'FR', country: 'FR', origin: 'https://www.asos.fr', path: '', currency: 'EUR', lang: 'fr-FR' },
+    AU: { code: 'AU', country: 'AU', origin: 'https://www.asos.com', path: '/au', currency: 'AUD', lang: 'en-AU' },
+};
+
+export const CURRENCY_SYMBOLS = {
+    GBP: '£',
+    USD: '$',
+    EUR: '€',
+    AUD: 'A$',
+};
+
+/**
+ * Resolve a storefront key (UK, US, DE, FR, AU) into a full store config
+ * @param {string} key - Storefront key
+ * @param {object} overrides - Optional currency / language overrides
+ * @returns {object} - Store config with key, currency symbol and base URL
+ */
+export function resolveStore(key, overrides = {}) {
+    const storeKey = String(key || 'US').toUpperCase();
+    const base = STORES[storeKey];
+    if (!base) {
+        throw new Error(`Unsupported store "${key}". Supported stores: ${Object.keys(STORES).join(', ')}`);
+    }
+    const currency = (overrides.currency || base.currency).toUpperCase();
+    return {
+        ...base,
+        key: storeKey,
+        currency,
+        lang: overrides.language || base.lang,
+        symbol: CURRENCY_SYMBOLS[currency] || `${currency} `,
+        baseUrl: `${base.origin}${base.path}`,
+    };
+}
+
+/**
+ * Detect which storefront a URL belongs to
+ * @param {string} url - ASOS URL
+ * @returns {string|null} - Storefront key or null if unknown
+ */
+export function detectStoreKey(url) {
+    let u;
+    try {
+        u = new URL(url);
+    } catch {
+        return null;
+    }
+    // Prefer stores with a path prefix (/us, /au) over the bare domain
+    const candidates = Object.entries(STORES).sort(([, a], [, b]) => b.path.length - a.path.length);
+    for (const [key, store] of candidates) {
+        if (new URL(store.origin).host !== u.host) continue;
+        if (!store.path || u.pathname === store.path || u.pathname.startsWith(`${store.path}/`)) return key;
+    }
+    return null;
+}
+
+/**
+ * Make a product/listing path absolute for the given store
+ * @param {string} path - Absolute URL, root-relative or store-relative path
+ * @param {object} store - Resolved store config
+ * @returns {string|null} - Absolute URL
+ */
+export function absoluteUrl(path, store) {
+    if (!path) return null;
+    if (path.startsWith('http')) return path;
+    if (path.startsWith('/')) return `${store.origin}${path}`;
+    return `${store.baseUrl}/${path}`;
+}
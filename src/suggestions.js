@@ -0,0 +1,66 @@
+// Keyword expansion - ASOS search suggestions for seed keywords, as a tree that feeds extra keyword queries
+import { fetchSearchSuggestions } from './api.js';
+
+/**
+ * Normalize a suggestions response into distinct search terms, in the order ASOS ranks them
+ * @param {object|null} body - Output of fetchSearchSuggestions
+ * @returns {Array} - Suggestions as { keyword, results } where results is ASOS's product count, if given
+ */
+export function normalizeSuggestions(body) {
+    const groups = body?.suggestionGroups || (body?.suggestions ? [body] : []);
+    const seen = new Set();
+    const suggestions = [];
+    for (const suggestion of groups.flatMap((group) => group.suggestions || [])) {
+        const term = typeof suggestion === 'string' ? suggestion : suggestion?.searchTerm;
+        const keyword = String(term ?? '').trim();
+        if (!keyword || seen.has(keyword.toLowerCase())) continue;
+        seen.add(keyword.toLowerCase());
+        suggestions.push({ keyword, results: suggestion?.numberOfResults ?? null });
+    }
+    return suggestions;
+}
+
+/**
+ * Build the suggestion tree of a seed keyword down to a depth cap
+ * @param {string} seed - Seed keyword
+ * @param {object} store - Resolved store config
+ * @param {object} transport - Proxy and fingerprint headers for the suggestion calls
+ * @param {object} options - `depth` (1: suggestions of the seed, 2: also their suggestions), `limit` per keyword,
+ *   and `seen`, the lowercase keywords already in the crawl, so each keyword appears once across all trees
+ * @returns {Promise<object>} - Tree node { keyword, results, suggestions: [nodes] }
+ */
+export async function expandKeyword(seed, store, transport, { depth = 1, limit = 10, seen = new Set() } = {}) {
+    seen.add(seed.toLowerCase());
+    const root = { keyword: seed, results: null, suggestions: [] };
+    let level = [root];
+    for (let d = 1; d <= depth; d++) {
+        const next = [];
+        for (const node of level) {
+            const suggestions = normalizeSuggestions(await fetchSearchSuggestions(node.keyword, store, transport, limit));
+            for (const { keyword, results } of suggestions.slice(0, limit)) {
+                if (seen.has(keyword.toLowerCase())) continue;
+                seen.add(keyword.toLowerCase());
+                const child = { keyword, results, suggestions: [] };
+                node.suggestions.push(child);
+                next.push(child);
+            }
+        }
+        level = next;
+    }
+    return root;
+}
+
+/**
+ * Every keyword of a suggestion tree with the keyword that suggested it
+ * @param {object} tree - Output of expandKeyword
+ * @returns {Array} - { keyword, suggestedFrom, depth } in tree order, the seed first with suggestedFrom null
+ */
+export function flattenSuggestionTree(tree) {
+    const keywords = [];
+    const visit = (node, suggestedFrom, depth) => {
+        keywords.push({ keyword: node.keyword, suggestedFrom, depth });
+        for (const child of node.suggestions) visit(child, node.keyword, depth + 1);
+    };
+    visit(tree, null, 0);
+    return keywords;
+}
@@ -0,0 +1,243 @@
+// Product transformation - listing/API products into the final output record
+
+import { absoluteMediaUrl, collectImages } from './images.js';
+import { discountAgainst, isOutletProduct, priceDiscounts, referencePrice } from './pricing.js';
+import { absoluteUrl } from './stores.js';
+import { extractPriceValue, normalizeImageUrl } from './utils.js';
+
+/**
+ * Transform listing product to final output format
+ * @param {object} p - Product from listing extraction
+ * @param {object} store - Resolved store config the product was found in
+ * @param {object} context - Where the product was found (category, query, rank, colourway group) and its resolved brand
+ * @param {object} options - Output options: `format` ('legacy' | 'typed'), `scrapedAt` and `image` ({ size, format })
+ * @returns {object} - Final formatted product
+ */
+export function transformToFinalFormat(p, store, context = {}, options = {}) {
+    const { format = 'legacy', scrapedAt = new Date().toISOString(), image: imageOptions = {} } = options;
+    const id = String(p.id || p.productId || '');
+    const currentPrice = extractPriceValue(p.price);
+    const originalPrice = referencePrice(p.price);
+    // The storefront decides the currency; symbols scraped from the DOM are only a fallback
+    const currency = store?.currency || p.price?.currency || null;
+    const symbol = store?.symbol || p.currency || '';
+
+    // Calculate discount; outlet items ASOS shows without a reduction are still labelled as outlet
+    const isOutlet = isOutletProduct(p);
+    const discountPercent = discountAgainst(currentPrice, originalPrice);
+    const discounts = priceDiscounts(p.price);
+    const percent = (value) => (value != null ? `${value}%` : null);
+    const discount = percent(discountPercent) ?? (isOutlet ? 'Outlet' : null);
+
+    // Format prices
+    const formatPrice = (value) => (value ? `${symbol}${value.toFixed(2)}` : null);
+    const formattedPrice = formatPrice(currentPrice);
+    const formattedOriginalPrice = formatPrice(originalPrice);
+
+    // Determine URL
+    const productUrl = absoluteUrl(p.url || p.productUrl, store);
+
+    // Get brand - resolved by the brand index when given, otherwise try all possible properties
+    const brand = context.brand ? context.brand.name : p.brandName || p.brand?.name || p.brand || null;
+    const brandSource = context.brand?.source ?? (brand ? p.brandSource || 'payload' : null);
+    const brandPrefix = context.brand?.titlePrefix || brand;
+
+    // Get color - try all variants
+    const color = p.colour || p.color || p.colourWayLabel || p.colourWayId || null;
+
+    // Get description from available sources
+    let description = null;
+    
+    // First priority: Extract meaningful description from product title
+    // Remove brand name and color to get product description
+    if (p.name || p.title) {
+        let desc = (p.name || p.title).trim();
+        
+        // Remove brand name from title if present
+        if (brandPrefix) {
+            desc = desc.replace(new RegExp(`^${brandPrefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*`, 'i'), '');
+        }
+        
+        // Remove color phrase ("in [color]") from description
+        if (color) {
+            desc = desc.replace(new RegExp(`\\s+in\\s+${color.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}.*$`, 'i'), '');
+        }
+        
+        // Clean up extra spaces
+        desc = desc.replace(/\s+/g, ' ').trim();
+        
+        // Only use if we have meaningful content (more than just brand/color)
+        if (desc.length > 5) {
+            description = desc;
+        }
+    }
+    
+    // Fallback to product type or badges if title-based description is not available
+    if (!description) {
+        if (p.productType && p.productType !== 'Product') {
+            description = p.productType;
+        } else if (p.badges && p.badges.length > 0) {
+            const badgeTexts = p.badges.map(b => b.text || b.label).filter(Boolean);
+            if (badgeTexts.length > 0) {
+                description = badgeTexts.join(' | ')
+                    .replace(/MORE\s*COLOURS/gi, 'More Colors')
+                    .replace(/Selling\s*fast/gi, 'Selling Fast')
+                    .replace(/\s+/g, ' ')
+                    .trim();
+            }
+        }
+    }
+
+    if (description) {
+        description = description
+            .replace(/([a-z])([A-Z])/g, '$1 | $2')
+            .replace(/\s+\|\s+/g, ' | ')
+            .trim();
+    }
+
+    // Gallery: the main image first, then model and product shots from whichever fields the source has
+    const images = collectImages(
+        [p.imageUrl || p.image, ...(p.additionalImageUrls || []), ...(p.images || []), ...(p.media?.images || [])],
+        imageOptions,
+    );
+
+    const record = {
+        product_id: id,
+        title: p.name || p.title || null,
+        brand: brand,
+        brand_source: brandSource,
+        price: formattedPrice,
+        original_price: formattedOriginalPrice,
+        discount: discount,
+        price_previous: formatPrice(p.price?.previous?.value),
+        price_was: formatPrice(p.price?.was?.value),
+        price_rrp: formatPrice(p.price?.rrp?.value),
+        discount_vs_previous: percent(discounts.previous),
+        discount_vs_rrp: percent(discounts.rrp),
+        currency: currency,
+        store: store?.key || null,
+        category_id: context.category?.id ?? null,
+        category_name: context.category?.name ?? null,
+        query: context.query?.value ?? null,
+        query_type: context.query?.type ?? null,
+        suggested_from: context.query?.suggestedFrom ?? null,
+        rank: context.rank ?? null,
+        group_id: context.groupId ?? null,
+        variant_of: context.variantOf ?? null,
+        color: color,
+        size_available: 'Available online',
+        is_sale: p.isMarkedDown || p.price?.isMarkedDown || (originalPrice && currentPrice && originalPrice > currentPrice) ? 'Yes' : 'No',
+        is_outlet: isOutlet ? 'Yes' : 'No',
+        product_url: productUrl,
+        image_url: images[0] || null,
+        images,
+        video_url: absoluteMediaUrl(p.videoUrl),
+        description: description,
+    };
+
+    if (format !== 'typed') return record;
+
+    // Typed output keeps the formatted strings and adds machine-readable values next to them
+    const normalized = normalizeProduct(p);
+    return {
+        ...record,
+        price_value: normalized.price_value,
+        original_price_value: normalized.original_price_value,
+        price_previous_value: p.price?.previous?.value ?? null,
+        price_was_value: p.price?.was?.value ?? null,
+        price_rrp_value: p.price?.rrp?.value ?? null,
+        discount_percent: discountPercent,
+        discount_vs_previous_percent: discounts.previous,
+        discount_vs_rrp_percent: discounts.rrp,
+        is_sale: normalized.is_marked_down,
+        is_outlet: isOutlet,
+        is_in_stock: normalized.is_in_stock,
+        scraped_at: scrapedAt,
+    };
+}
+
+/**
+ * Merge product detail page data and live stock into a listing record
+ * @param {object} record - Record produced by transformToFinalFormat
+ * @param {object} details - Output of extractProductDetails
+ * @param {object|null} stock - Output of fetchStockPrice
+ * @param {object} options - `image` ({ size, format }) as used for the listing record
+ * @returns {object} - Enriched record with real sizes, stock, description and the full gallery
+ */
+export function mergeProductDetails(record, details, stock, options = {}) {
+    const stockByVariant = new Map((stock?.variants || []).map((v) => [String(v.variantId ?? v.id), v]));
+
+    const sizes = details.variants.map((variant) => {
+        const live = stockByVariant.get(String(variant.variant_id));
+        return {
+            ...variant,
+            in_stock: live?.isInStock ?? variant.in_stock,
+            low_stock: live?.isLowInStock ?? null,
+        };
+    });
+
+    // Fall back to the stock endpoint alone when the page carried no variant config
+    if (!sizes.length) {
+        for (const [variantId, live] of stockByVariant) {
+            sizes.push({ size: null, variant_id: variantId, sku: null, in_stock: live.isInStock ?? null, low_stock: live.isLowInStock ?? null });
+        }
+    }
+
+    const images = collectImages([...(record.images || [record.image_url]), ...details.images], options.image);
+
+    const enriched = {
+        ...record,
+        sku: details.sku || record.sku || null,
+        size_available: sizes.length ? sizes.filter((s) => s.in_stock).map((s) => s.size).filter(Boolean) : record.size_available,
+        sizes,
+        description: details.description || record.description,
+        size_and_fit: details.sizeAndFit,
+        care_info: details.careInfo,
+        materials: details.materials,
+        image_url: images[0] || null,
+        images,
+        video_url: details.videoUrl || record.video_url || null,
+        spin_url: details.spinUrl,
+        breadcrumbs: details.breadcrumbs,
+        details_scraped: true,
+    };
+
+    // Typed records carry a stock flag; with real sizes it reflects whether any size is in stock
+    if (typeof record.is_in_stock === 'boolean' && sizes.length) {
+        enriched.is_in_stock = sizes.some((s) => s.in_stock);
+    }
+
+    return enriched;
+}
+
+export function pricePasses(priceObj, min, max) {
+    const value = extractPriceValue(priceObj);
+    if (min != null && value != null && value < min) return false;
+    if (max != null && value != null && value > max) return false;
+    return true;
+}
+
+export function normalizeProduct(p) {
+    const id = String(p.id ?? p.productId ?? p.productid ?? p.product?.id ?? '');
+    const urlPath = p.url || p.productUrl || p.webUrl || null;
+    const productUrl = urlPath?.startsWith('http') ? urlPath : urlPath ? `https://www.asos.com${urlPath}` : null;
+    const currentPrice = extractPriceValue(p.price) ?? null;
+    const originalPrice = referencePrice(p.price);
+    const rawImage = p.imageUrl || p.image || p.images?.[0]?.url || p.media?.images?.[0]?.url || null;
+
+    return {
+        id,
+        title: p.name || p.title || p.productTitle || null,
+        brand: p.brandName || p.brand?.name || null,
+        currency: p.price?.currency || p.price?.current?.symbol || null,
+        price_value: currentPrice,
+        price_text: p.price?.current?.text || (currentPrice != null ? String(currentPrice) : null),
+        original_price_value: originalPrice,
+        is_marked_down: Boolean(p.price?.isMarkedDown || (originalPrice && currentPrice && originalPrice > currentPrice)),
+        is_in_stock: p.isNoSize ? false : p.isInStock ?? true,
+        url: productUrl,
+        image_url: normalizeImageUrl(rawImage),
+        color: p.colour || p.colourWayLabel || null,
+        badge: p.badges?.[0]?.text || p.productType || null,
+    };
+}
@@ -0,0 +1,119 @@
+// ASOS URL model - search, category, brand, /grp/ and product URLs as structured queries, and the requests for them
+import { detectStoreKey } from './stores.js';
+
+/**
+ * Parse an ASOS refine parameter, e.g. `attribute_1047:8606,8607|brand:12136`
+ * @param {string|null} value - Refine parameter value
+ * @returns {object} - Values per facet, e.g. { attribute_1047: ['8606', '8607'], brand: ['12136'] }
+ */
+export function parseRefine(value) {
+    const refinements = {};
+    for (const part of String(value || '').split('|')) {
+        const [facet, values = ''] = part.split(':');
+        if (!facet?.trim()) continue;
+        const list = values.split(',').map((v) => v.trim()).filter(Boolean);
+        if (list.length) refinements[facet.trim()] = [...new Set([...(refinements[facet.trim()] || []), ...list])];
+    }
+    return refinements;
+}
+
+/**
+ * Format refinements as an ASOS refine parameter
+ * @param {object} refinements - Values per facet, as from parseRefine
+ * @returns {string|null} - Null when there is nothing to refine
+ */
+export function formatRefine(refinements = {}) {
+    const parts = Object.entries(refinements)
+        .filter(([, values]) => values?.length)
+        .map(([facet, values]) => `${facet}:${values.join(',')}`);
+    return parts.length ? parts.join('|') : null;
+}
+
+/**
+ * Combine refinements; a facet in a later set replaces the same facet in an earlier one
+ * @param {...object} sets - Values per facet, as from parseRefine
+ * @returns {object}
+ */
+export function mergeRefinements(...sets) {
+    return Object.assign({}, ...sets.filter(Boolean));
+}
+
+/**
+ * Parse an ASOS URL into the query it stands for
+ * @param {string} url - ASOS search, category, brand, group (/grp/) or product (/prd/) URL
+ * @returns {object} - { type, storeKey, keyword, categoryId, brand, groupId, productId, refinements, sort, page, path }
+ *   where type is `search`, `category`, `brand`, `group`, `product` or `other`
+ */
+export function parseAsosUrl(url) {
+    const u = new URL(url);
+    const params = u.searchParams;
+
+    // Refinements come as one refine parameter or, on older links, as separate attribute_<id> and brand parameters
+    const separate = {};
+    for (const [key, value] of params) {
+        if (/^attribute_\d+$/.test(key) || key === 'brand') separate[key] = value.split(',').map((v) => v.trim()).filter(Boolean);
+    }
+
+    const groupId = u.pathname.match(/\/grp\/(\d+)/)?.[1] || null;
+    const productId = u.pathname.match(/\/prd\/(\d+)/)?.[1] || null;
+    const cid = params.get('cid');
+    const categoryId = cid && /^\d+$/.test(cid) ? cid : null;
+    const brand = categoryId ? u.pathname.match(/\/a-to-z-of-brands\/([^/]+)\//)?.[1] || null : null;
+    const keyword = params.get('q')?.trim() || null;
+
+    let type = 'other';
+    if (groupId) type = 'group';
+    else if (productId) type = 'product';
+    else if (brand) type = 'brand';
+    else if (categoryId) type = 'category';
+    else if (keyword || /\/search\/?$/.test(u.pathname)) type = 'search';
+
+    return {
+        type,
+        storeKey: detectStoreKey(url),
+        keyword,
+        categoryId,
+        brand,
+        groupId,
+        productId,
+        refinements: mergeRefinements(separate, parseRefine(params.get('refine'))),
+        sort: params.get('sort') || null,
+        page: Number(params.get('page') || 1),
+        path: u.pathname,
+    };
+}
+
+/**
+ * Build the HTML listing URL of a search or category query
+ * @param {object} listing - Output of parseAsosUrl, or { keyword } / { categoryId } with optional refinements and sort
+ * @param {object} store - Resolved store config
+ * @param {number} page - Page number
+ * @returns {string}
+ */
+export function listingHtmlUrl(listing, store, page = 1) {
+    const path = listing.path || (listing.categoryId ? '/cat/' : '/search/');
+    const url = new URL(listing.path ? `${store.origin}${path}` : `${store.baseUrl}${path}`);
+    if (listing.categoryId) url.searchParams.set('cid', String(listing.categoryId));
+    else url.searchParams.set('q', listing.keyword || '');
+    url.searchParams.set('page', String(page));
+    if (listing.sort) url.searchParams.set('sort', listing.sort);
+    const refine = formatRefine(listing.refinements);
+    if (refine) url.searchParams.set('refine', refine);
+    return url.toString();
+}
+
+/**
+ * Parameters of the search or category API call equivalent to a listing
+ * @param {object} listing - Output of parseAsosUrl
+ * @param {object} options - `refine` from the filter inputs, which replaces URL refinements of the same facet
+ * @returns {{ categoryId: string|null, keyword: string, sortBy: string|null, refine: string|null }} - sortBy is the
+ *   URL's own sort only; without one the API keeps ASOS's default order, like the page
+ */
+export function listingApiParams(listing, { refine = null } = {}) {
+    return {
+        categoryId: listing.categoryId,
+        keyword: listing.keyword || '',
+        sortBy: listing.sort,
+        refine: formatRefine(mergeRefinements(listing.refinements, parseRefine(refine))),
+    };
+}
@@ -0,0 +1,83 @@
+// Shared parsing helpers for prices, images and embedded JSON
+
+export function extractPriceValue(price) {
+    if (!price) return null;
+    const direct = price.current?.value ?? price.current?.price ?? price.value;
+    if (Number.isFinite(direct)) return direct;
+    return parsePriceText(price.current?.text || price.text);
+}
+
+export function parsePriceText(text) {
+    if (!text) return null;
+    const match = text.replace(/,/g, '').match(/([0-9]+(?:\.[0-9]+)?)/);
+    return match ? Number(match[1]) : null;
+}
+
+/**
+ * Absolute ASOS image URL, optionally sized and converted by the ASOS image service
+ * @param {string} url - Image URL or path as found in page data, API payloads or tiles
+ * @param {object} options - `size` (width in pixels, the `wid` param) and `format` (`jpg`, `png`, `webp` or `avif`, the `fmt` param)
+ * @returns {string|null}
+ */
+export function normalizeImageUrl(url, { size = null, format = null } = {}) {
+    if (!url) return null;
+    let clean = String(url).trim();
+
+    // Handle protocol-relative URLs
+    if (clean.startsWith('//')) clean = `https:${clean}`;
+
+    // If it's already a full URL with images.asos-media.com, don't prepend again
+    if (clean.includes('images.asos-media.com')) {
+        if (!clean.startsWith('http')) {
+            clean = `https://${clean.replace(/^\/+/, '')}`;
+        }
+    } else if (!clean.startsWith('http')) {
+        // Handle relative paths
+        clean = `https://images.asos-media.com/${clean.replace(/^\/+/, '')}`;
+    }
+
+    // Size presets from tiles ($n_320w$, wid) are dropped so every source yields the same URL
+    clean = clean.split('?')[0].replace(/\/+$/, '');
+
+    // The image service serves the bare path; sizing and format are its query params
+    const params = new URLSearchParams();
+    if (size) params.set('wid', String(size));
+    if (format) params.set('fmt', format);
+    const query = params.toString();
+    return query ? `${clean}?${query}` : clean;
+}
+
+export function parseJsonSafe(str) {
+    if (!str) return null;
+    try {
+        return JSON.parse(str);
+    } catch {
+        // Sometimes HTML entities break parsing; try a relaxed cleanup
+        const cleaned = str.replace(/&quot;/g, '"');
+        try {
+            return JSON.parse(cleaned);
+        } catch {
+            return null;
+        }
+    }
+}
+
+/**
+ * Run an async function over items with at most `limit` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum calls running at once
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} - Results in item order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
@@ -0,0 +1,58 @@
+// Colourway expansion - sibling colour variants of a product and members of /grp/ pages
+import { fetchProductSummaries } from './api.js';
+import { extractPdpConfig } from './extract.js';
+
+/**
+ * Shared group ID for a set of colourway product IDs: the lowest ID, so every member agrees
+ * @param {string[]} ids - Product IDs of one colourway group
+ * @returns {string|null}
+ */
+export function colourwayGroupId(ids) {
+    const numeric = ids.map(Number).filter(Number.isFinite);
+    return numeric.length ? String(Math.min(...numeric)) : null;
+}
+
+/**
+ * Find the colour variants of a listing product
+ * @param {object} p - Normalized listing product (colourwayIds / hasVariantColours)
+ * @param {object} store - Resolved store config
+ * @param {object} transport - Proxy session shared with the crawler request
+ * @returns {Promise<{ groupId: string|null, variants: Array }>} - Sibling products, excluding `p` itself
+ */
+export async function loadColourways(p, store, transport) {
+    const id = String(p.id);
+    let ids = p.colourwayIds || [];
+
+    // DOM tiles only know that more colours exist; the product summary lists them
+    if (!ids.length && p.hasVariantColours) {
+        const [self] = await fetchProductSummaries([id], store, transport);
+        ids = self?.colourwayIds || [];
+    }
+
+    const siblingIds = ids.filter((siblingId) => siblingId !== id);
+    if (!siblingIds.length) return { groupId: null, variants: [] };
+
+    return {
+        groupId: colourwayGroupId([id, ...ids]),
+        variants: await fetchProductSummaries(siblingIds, store, transport),
+    };
+}
+
+/**
+ * Read the member product IDs of a /grp/ page
+ * @param {string} html - Group page HTML
+ * @param {object} $ - Cheerio instance for the page
+ * @returns {string[]} - Member product IDs
+ */
+export function extractGroupMemberIds(html, $) {
+    const config = extractPdpConfig(html);
+    const fromConfig = (config?.products || []).map((member) => String(member.id ?? member.productId ?? '')).filter(Boolean);
+    if (fromConfig.length) return [...new Set(fromConfig)];
+
+    const fromLinks = [];
+    $('a[href*="/prd/"]').each((i, el) => {
+        const match = $(el).attr('href')?.match(/\/prd\/(\d+)/);
+        if (match) fromLinks.push(match[1]);
+    });
+    return [...new Set(fromLinks)];
+}
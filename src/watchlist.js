@@ -0,0 +1,107 @@
+// Product watchlist - fixed product IDs and URLs looked up in batches through the product and stock-price endpoints
+import { detectStoreKey } from './stores.js';
+
+// Product IDs per summaries/stock-price call; the endpoints take comma-separated ID lists
+export const WATCHLIST_BATCH_SIZE = 50;
+
+/**
+ * Read the product ID and storefront of an ASOS product URL (/prd/<id>)
+ * @param {string} url - Product page URL
+ * @returns {{ id: string, storeKey: string|null }|null} - Null when the URL has no product ID
+ */
+export function parseProductUrl(url) {
+    const id = String(url || '').match(/\/prd\/(\d+)/)?.[1];
+    return id ? { id, storeKey: detectStoreKey(url) } : null;
+}
+
+/**
+ * Group watched product IDs by store: IDs are looked up in every selected store, URLs in the store they belong to
+ * @param {string[]} productIds - Product IDs
+ * @param {string[]} productUrls - Product page URLs
+ * @param {string[]} storeKeys - Stores selected for IDs
+ * @param {string} defaultStoreKey - Store for URLs whose storefront is not recognised
+ * @returns {{ byStore: Map<string, string[]>, invalid: string[] }} - IDs per store and entries without a product ID
+ */
+export function buildWatchlist(productIds, productUrls, storeKeys, defaultStoreKey) {
+    const byStore = new Map();
+    const invalid = [];
+    const add = (storeKey, id) => {
+        if (!byStore.has(storeKey)) byStore.set(storeKey, []);
+        if (!byStore.get(storeKey).includes(id)) byStore.get(storeKey).push(id);
+    };
+
+    for (const value of productIds) {
+        const id = String(value).trim();
+        if (!/^\d+$/.test(id)) {
+            invalid.push(id);
+            continue;
+        }
+        for (const storeKey of storeKeys) add(storeKey, id);
+    }
+    for (const url of productUrls) {
+        const parsed = parseProductUrl(url);
+        if (!parsed) {
+            invalid.push(url);
+            continue;
+        }
+        add(parsed.storeKey || defaultStoreKey, parsed.id);
+    }
+    return { byStore, invalid };
+}
+
+/**
+ * Split a list into batches
+ * @param {Array} items - Items to split
+ * @param {number} size - Maximum batch size
+ * @returns {Array<Array>}
+ */
+export function toBatches(items, size = WATCHLIST_BATCH_SIZE) {
+    const batches = [];
+    for (let i = 0; i < items.length; i += size) batches.push(items.slice(i, i + size));
+    return batches;
+}
+
+/**
+ * Apply a stock-price entry to a watched product: live price and whether any size is in stock
+ * @param {object} p - Normalized product from the summaries endpoint
+ * @param {object|undefined} stock - Stock-price entry of the product
+ * @returns {object} - Product with current price and stock
+ */
+export function applyStockPrice(p, stock) {
+    if (!stock) return p;
+    const live = stock.productPrice || {};
+    const price = {
+        ...p.price,
+        current: live.current ?? p.price.current,
+        previous: live.previous ?? p.price.previous,
+        isMarkedDown: live.isMarkedDown ?? p.price.isMarkedDown,
+    };
+    const variants = stock.variants || [];
+    return {
+        ...p,
+        price,
+        isMarkedDown: price.isMarkedDown,
+        isInStock: variants.length ? variants.some((variant) => variant.isInStock) : p.isInStock,
+    };
+}
+
+/**
+ * Watch status of a product the catalogue returned
+ * @param {object} p - Product after applyStockPrice
+ * @returns {string} - `available` or `out_of_stock`
+ */
+export function watchStatus(p) {
+    return p.isInStock === false ? 'out_of_stock' : 'available';
+}
+
+/**
+ * Flag a watched product that has no catalogue data, keeping the record shape of found products
+ * @param {object} record - Record transformed from the bare product ID and URL
+ * @param {string} status - `delisted` (unknown to the product endpoint) or `lookup_failed` (the endpoint kept failing)
+ * @returns {object} - Record with availability fields cleared and the watch status set
+ */
+export function flagMissingProduct(record, status) {
+    const flagged = { ...record, size_available: null, is_sale: null, is_outlet: null, description: null, watch_status: status };
+    if ('is_in_stock' in record) flagged.is_in_stock = status === 'delisted' ? false : null;
+    return flagged;
+}
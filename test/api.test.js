@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { buildApiHeaders, normalizeApiProduct } from '../src/api.js';
+import { resolveStore } from '../src/stores.js';
+import { loadJsonFixture } from './helpers.js';
+
+describe('normalizeApiProduct', () => {
+    const us = resolveStore('US');
+    const [fullPrice, markedDown] = loadJsonFixture('search-api.json').products.map((p) => normalizeApiProduct(p, us));
+
+    it('normalizes IDs, names and brands', () => {
+        assert.equal(fullPrice.id, '205126785');
+        assert.equal(fullPrice.name, 'Nike Air Max 90 trainers in white and black');
+        assert.equal(fullPrice.brandName, 'Nike');
+    });
+
+    it('resolves relative API URLs against the store', () => {
+        assert.equal(
+            fullPrice.url,
+            'https://www.asos.com/us/nike/nike-air-max-90-trainers-in-white-and-black/prd/205126785#colourWayId-205126786',
+        );
+        assert.equal(
+            fullPrice.imageUrl,
+            'https://images.asos-media.com/products/nike-air-max-90-trainers-in-white-and-black/205126785-1-white',
+        );
+    });
+
+    it('keeps the extra gallery images', () => {
+        assert.deepEqual(fullPrice.additionalImageUrls, [
+            'images.asos-media.com/products/nike-air-max-90-trainers-in-white-and-black/205126785-2',
+            'images.asos-media.com/products/nike-air-max-90-trainers-in-white-and-black/205126785-3',
+        ]);
+        assert.equal(fullPrice.videoUrl, null);
+    });
+
+    it('reads current and previous prices', () => {
+        assert.equal(fullPrice.price.current.value, 135);
+        assert.equal(fullPrice.price.previous.value, null);
+        assert.equal(fullPrice.isMarkedDown, false);
+        assert.equal(markedDown.price.current.value, 98);
+        assert.equal(markedDown.price.previous.value, 140);
+        assert.equal(markedDown.isMarkedDown, true);
+    });
+
+    it('keeps the RRP apart from the previous price and reads the outlet flag', () => {
+        assert.equal(markedDown.price.rrp.value, 145);
+        assert.equal(markedDown.isOutlet, false);
+        const outlet = normalizeApiProduct({ id: 1, price: { current: { value: 20 }, rrp: { value: 40 }, isOutletPrice: true } });
+        assert.equal(outlet.price.previous.value, null);
+        assert.equal(outlet.isMarkedDown, true);
+        assert.equal(outlet.isOutlet, true);
+    });
+
+    it('lists colourway siblings from facet groupings', () => {
+        assert.deepEqual(markedDown.colourwayIds, ['204981234', '204981102', '204981377']);
+        assert.equal(markedDown.hasVariantColours, true);
+        assert.deepEqual(fullPrice.colourwayIds, []);
+        assert.equal(fullPrice.hasVariantColours, false);
+    });
+
+    it('returns null for missing products', () => {
+        assert.equal(normalizeApiProduct(null, us), null);
+    });
+});
+
+describe('buildApiHeaders', () => {
+    it('matches the store language and base URL', () => {
+        const headers = buildApiHeaders(resolveStore('DE'));
+        assert.equal(headers['accept-language'], 'de-DE,de;q=0.9');
+        assert.equal(headers.referer, 'https://www.asos.de/search/');
+    });
+
+    it('takes the browser identity from the session fingerprint', () => {
+        const fingerprint = {
+            'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/131.0.0.0 Safari/537.36',
+            'sec-ch-ua': '"Chromium";v="131", "Google Chrome";v="131"',
+            'accept': 'text/html',
+        };
+        const headers = buildApiHeaders(resolveStore('UK'), fingerprint);
+        assert.equal(headers['user-agent'], fingerprint['user-agent']);
+        assert.equal(headers['sec-ch-ua'], fingerprint['sec-ch-ua']);
+        assert.equal(headers['sec-ch-ua-platform'], '"Windows"');
+        assert.equal(headers.accept, 'application/json, text/plain, */*');
+    });
+});
@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { BlockedError, blockRates, createBackoff, detectBlock, isBlockError, recordOutcome } from '../src/blocking.js';
+import { loadFixture } from './helpers.js';
+
+// Full-size page with the given title, so only the title can make it look blocked
+const page = (title) => `<html><head><title>${title}</title></head><body><main>${'x'.repeat(2000)}</main></body></html>`;
+
+describe('detectBlock', () => {
+    it('recognises Akamai access-denied pages', () => {
+        assert.equal(detectBlock(loadFixture('blocked-akamai.html')), 'blocked page title "Access Denied"');
+    });
+
+    it('recognises bot challenge interstitials', () => {
+        assert.equal(detectBlock(loadFixture('blocked-challenge.html')), 'Akamai bot challenge');
+    });
+
+    it('treats empty responses as soft blocks', () => {
+        assert.equal(detectBlock(''), 'empty response');
+        assert.equal(detectBlock('<html><head></head><body></body></html>'), 'empty response');
+    });
+
+    it('recognises denial titles with a site suffix', () => {
+        assert.equal(detectBlock(page('Just a moment...')), 'blocked page title "Just a moment..."');
+        assert.equal(detectBlock(page('Attention Required! | Cloudflare')), 'blocked page title "Attention Required! | Cloudflare"');
+        assert.equal(detectBlock(page('403 Forbidden')), 'blocked page title "403 Forbidden"');
+    });
+
+    it('passes product titles that contain denial words', () => {
+        for (const title of ["Women's Forbidden Fruit Dresses | ASOS", 'Just a moment tee | ASOS', 'Access Denied hoodie in black | ASOS']) {
+            assert.equal(detectBlock(page(title)), null, title);
+        }
+    });
+
+    it('passes normal listing and product pages', () => {
+        for (const name of ['listing-window-asos.html', 'listing-next-data.html', 'listing-dom.html', 'product-detail.html']) {
+            assert.equal(detectBlock(loadFixture(name)), null, name);
+        }
+    });
+});
+
+describe('isBlockError', () => {
+    it('covers detected blocks and blocked status codes', () => {
+        assert.equal(isBlockError(new BlockedError('captcha')), true);
+        assert.equal(isBlockError(new Error('Request blocked - received 403 status code.')), true);
+        assert.equal(isBlockError(new Error('Navigation timed out')), false);
+    });
+});
+
+describe('recordOutcome', () => {
+    it('halves concurrency and adds delay under repeated blocks', () => {
+        const backoff = createBackoff(5);
+        const steps = [false, true, false, true, true].map((blocked) => recordOutcome(backoff, 'RESIDENTIAL', blocked));
+        assert.deepEqual(steps, [null, null, null, null, 'slower']);
+        assert.equal(backoff.concurrency, 2);
+        assert.equal(backoff.delayMs, 1000);
+    });
+
+    it('speeds back up after a clean window', () => {
+        const backoff = createBackoff(5);
+        for (let i = 0; i < 5; i++) recordOutcome(backoff, 'RESIDENTIAL', true);
+        const steps = Array.from({ length: 20 }, () => recordOutcome(backoff, 'RESIDENTIAL', false));
+        assert.equal(steps.at(-1), 'faster');
+        assert.equal(backoff.concurrency, 3);
+        assert.equal(backoff.delayMs, 500);
+    });
+
+    it('reports block rates per proxy group', () => {
+        const backoff = createBackoff(5);
+        recordOutcome(backoff, 'RESIDENTIAL', true);
+        recordOutcome(backoff, 'RESIDENTIAL', false);
+        recordOutcome(backoff, 'DATACENTER', true);
+        assert.deepEqual(blockRates(backoff), [
+            { group: 'RESIDENTIAL', requests: 2, blocked: 1, block_rate: 0.5 },
+            { group: 'DATACENTER', requests: 1, blocked: 1, block_rate: 1 },
+        ]);
+    });
+});
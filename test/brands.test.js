@@ -0,0 +1,60 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { normalizeApiProduct } from '../src/api.js';
+import { createBrandIndex, learnBrandsFromFacets, learnBrandsFromProducts, resolveBrand } from '../src/brands.js';
+import { parseDomProducts } from '../src/extract.js';
+import { normalizeFacets } from '../src/facets.js';
+import { resolveStore } from '../src/stores.js';
+import { loadHtmlFixture, loadJsonFixture } from './helpers.js';
+
+const us = resolveStore('US');
+const searchApi = loadJsonFixture('search-api.json');
+const apiProducts = searchApi.products.map((p) => normalizeApiProduct(p, us));
+const { html, $ } = loadHtmlFixture('listing-dom.html');
+const domProducts = parseDomProducts(html, $);
+
+describe('resolveBrand', () => {
+    it('trusts payload brands and learns them', () => {
+        const index = createBrandIndex();
+        assert.deepEqual(resolveBrand(index, apiProducts[1]), {
+            name: 'Nike Running',
+            source: 'payload',
+            titlePrefix: 'Nike Running',
+        });
+        assert.equal(index.brands.get('nike running'), 'Nike Running');
+    });
+
+    it('matches DOM titles against the longest learned brand', () => {
+        const index = createBrandIndex();
+        learnBrandsFromProducts(index, apiProducts);
+        const brand = resolveBrand(index, domProducts[1]);
+        assert.equal(brand.name, 'Nike Running');
+        assert.equal(brand.source, 'catalog');
+    });
+
+    it('learns brands from the brand facet', () => {
+        const index = createBrandIndex();
+        learnBrandsFromFacets(index, normalizeFacets(searchApi.facets));
+        assert.equal(resolveBrand(index, domProducts[0]).source, 'catalog');
+    });
+
+    it('applies the alias map to payloads and titles', () => {
+        const index = createBrandIndex({ 'Nike Running': 'Nike' });
+        assert.equal(resolveBrand(index, apiProducts[1]).name, 'Nike');
+        assert.equal(resolveBrand(index, apiProducts[1]).source, 'alias');
+        assert.deepEqual(resolveBrand(index, domProducts[1]), { name: 'Nike', source: 'alias', titlePrefix: 'Nike Running' });
+    });
+
+    it('falls back to the title guess for unknown brands', () => {
+        const brand = resolveBrand(createBrandIndex(), domProducts[2]);
+        assert.equal(brand.name, 'adidas Originals');
+        assert.equal(brand.source, 'heuristic');
+    });
+
+    it('ignores title guesses when learning', () => {
+        const index = createBrandIndex();
+        learnBrandsFromProducts(index, domProducts);
+        assert.equal(index.brands.size, 0);
+    });
+});
@@ -0,0 +1,23 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { debugKey } from '../src/debug.js';
+
+describe('debugKey', () => {
+    it('derives a readable, valid key from the URL', () => {
+        const key = debugKey('https://www.asos.com/us/search/?q=nike+shoes&page=2', 'LISTING');
+        assert.match(key, /^DEBUG-LISTING-www.asos.com_us_search_q_nike_shoes_page_2-[0-9a-f]{10}$/);
+        assert.match(key, /^[a-zA-Z0-9!\-_.'()]{1,256}$/);
+    });
+
+    it('keeps URLs that only differ after the slug apart', () => {
+        const base = `https://www.asos.com/us/search/?q=${'a'.repeat(300)}`;
+        assert.notEqual(debugKey(`${base}&page=1`, 'LISTING'), debugKey(`${base}&page=2`, 'LISTING'));
+        assert.ok(debugKey(`${base}&page=1`, 'LISTING').length <= 256);
+    });
+
+    it('separates API and HTML captures of the same URL', () => {
+        const url = 'https://www.asos.com/us/search/?q=nike&page=1';
+        assert.notEqual(debugKey(url, 'API'), debugKey(url, 'LISTING'));
+    });
+});
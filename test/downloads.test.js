@@ -0,0 +1,117 @@
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { once } from 'node:events';
+import { createServer } from 'node:http';
+import { after, before, describe, it } from 'node:test';
+
+import sharp from 'sharp';
+
+import { downloadImages, perceptualHash, storeImage } from '../src/downloads.js';
+
+// A horizontal gradient, brighter to the right, as a PNG
+async function gradientPng(width = 64, height = 48, reverse = false) {
+    const pixels = Buffer.alloc(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) pixels[y * width + x] = Math.round(((reverse ? width - 1 - x : x) / (width - 1)) * 255);
+    }
+    return sharp(pixels, { raw: { width, height, channels: 1 } }).png().toBuffer();
+}
+
+const sha256 = (buffer) => createHash('sha256').update(buffer).digest('hex');
+
+// Image store backed by a plain object instead of a key-value store
+function memoryImageStore() {
+    const saved = {};
+    const kvStore = { setValue: async (key, value, options) => { saved[key] = { value, options }; } };
+    return { saved, imageStore: { kvStore, files: new Map(), products: new Map(), pending: new Map(), byUrl: new Map() } };
+}
+
+describe('perceptualHash', () => {
+    it('gives re-encoded and resized copies the same hash', async () => {
+        const png = await gradientPng();
+        const jpeg = await sharp(png).resize(128, 96).jpeg({ quality: 70 }).toBuffer();
+        assert.equal(await perceptualHash(png), 'ffffffffffffffff');
+        assert.equal(await perceptualHash(jpeg), await perceptualHash(png));
+    });
+
+    it('tells different images apart', async () => {
+        assert.equal(await perceptualHash(await gradientPng(64, 48, true)), '0000000000000000');
+    });
+});
+
+describe('storeImage', () => {
+    it('stores identical files once under their content hash', async () => {
+        const { saved, imageStore } = memoryImageStore();
+        const png = await gradientPng();
+        const [first, second] = await Promise.all([
+            storeImage(imageStore, png, 'image/png'),
+            storeImage(imageStore, Buffer.from(png), 'image/png'),
+        ]);
+        assert.deepEqual(Object.keys(saved), [sha256(png)]);
+        assert.equal(saved[sha256(png)].options.contentType, 'image/png');
+        assert.deepEqual(second, first);
+        assert.deepEqual(first, { key: sha256(png), content_type: 'image/png', bytes: png.length, phash: 'ffffffffffffffff' });
+    });
+
+    it('keeps files it cannot decode without a hash', async () => {
+        const { imageStore } = memoryImageStore();
+        const file = await storeImage(imageStore, Buffer.from('not an image'), 'image/jpeg');
+        assert.equal(file.phash, null);
+        assert.equal(file.bytes, 12);
+    });
+});
+
+describe('downloadImages', () => {
+    let server;
+    let baseUrl;
+    let png;
+    let reversed;
+
+    before(async () => {
+        png = await gradientPng();
+        reversed = await gradientPng(64, 48, true);
+        server = createServer((req, res) => {
+            if (req.url.startsWith('/missing')) {
+                res.writeHead(404);
+                res.end();
+                return;
+            }
+            res.writeHead(200, { 'content-type': 'image/png' });
+            res.end(req.url.startsWith('/changed') ? reversed : png);
+        });
+        server.listen(0, '127.0.0.1');
+        await once(server, 'listening');
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        server.close();
+        await once(server, 'close');
+    });
+
+    it('keys files by content hash, names them by product and index, and skips failed downloads', async () => {
+        const { saved, imageStore } = memoryImageStore();
+        const files = await downloadImages(imageStore, '205126785', [`${baseUrl}/missing-0`, `${baseUrl}/a-1`, `${baseUrl}/a-2`]);
+        assert.deepEqual(
+            files.map((file) => [file.url, file.key, file.alias]),
+            [
+                [`${baseUrl}/a-1`, sha256(png), '205126785-1'],
+                // Same bytes under another URL: stored once
+                [`${baseUrl}/a-2`, sha256(png), '205126785-2'],
+            ],
+        );
+        assert.deepEqual(Object.keys(saved), [sha256(png)]);
+        assert.deepEqual(Object.fromEntries(imageStore.products), { '205126785-1': sha256(png), '205126785-2': sha256(png) });
+    });
+
+    it('stores a changed image at the same gallery position as a new file', async () => {
+        const { saved, imageStore } = memoryImageStore();
+        const [original] = await downloadImages(imageStore, '205126785', [`${baseUrl}/a-0`]);
+        const [changed] = await downloadImages(imageStore, '205126785', [`${baseUrl}/changed-0`]);
+        assert.notEqual(changed.key, original.key);
+        assert.equal(imageStore.products.get('205126785-0'), changed.key);
+        assert.equal(saved[original.key].value.equals(png), true);
+        assert.equal(saved[changed.key].value.equals(reversed), true);
+        assert.equal(imageStore.files.get(sha256(png)).key, original.key);
+    });
+});
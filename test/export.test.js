@@ -0,0 +1,138 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { parquetMetadata, parquetReadObjects } from 'hyparquet';
+
+import { flattenRecords, resolveColumns, toCsv, toJsonl, toParquet, validateExportOptions } from '../src/export.js';
+
+const records = [
+    {
+        product_id: '204981234',
+        title: 'Nike Running Pegasus 41 trainers in grey, "wide fit"',
+        price_value: 98,
+        is_sale: true,
+        images: ['https://images.asos-media.com/a-1', 'https://images.asos-media.com/a-2'],
+        sizes: [
+            { size: 'US 8', variant_id: '204981301', in_stock: true },
+            { size: 'US 9', variant_id: '204981302', in_stock: false },
+        ],
+    },
+    { product_id: '205126785', title: 'Nike Air Max 90', price_value: 135, is_sale: false, images: ['https://images.asos-media.com/b-1'], sizes: [] },
+];
+
+describe('validateExportOptions', () => {
+    it('accepts known formats, array modes and columns', () => {
+        assert.doesNotThrow(() => validateExportOptions({ formats: ['csv', 'parquet'], columns: ['price', { field: 'title', name: 'Title' }] }));
+    });
+
+    it('rejects unknown formats, array modes and malformed columns', () => {
+        assert.throws(() => validateExportOptions({ formats: ['xlsx'] }), /Unknown export formats: xlsx/);
+        assert.throws(() => validateExportOptions({ arrays: 'nested' }), /Unknown exportArrays "nested"/);
+        assert.throws(() => validateExportOptions({ columns: [{ name: 'Price' }] }), /Invalid export column/);
+    });
+});
+
+describe('resolveColumns', () => {
+    it('exports every field in record order by default', () => {
+        assert.deepEqual(
+            resolveColumns(records, [], ['sizes']).map((c) => c.name),
+            ['product_id', 'title', 'price_value', 'is_sale', 'images'],
+        );
+    });
+
+    it('renames and reorders configured columns', () => {
+        assert.deepEqual(resolveColumns(records, [{ field: 'price_value', name: 'Price' }, 'product_id']), [
+            { field: 'price_value', name: 'Price' },
+            { field: 'product_id', name: 'product_id' },
+        ]);
+    });
+});
+
+describe('flattenRecords', () => {
+    const columns = resolveColumns(records, ['product_id', 'images', 'sizes']);
+
+    it('joins arrays, labelling objects by their main property', () => {
+        const { rows } = flattenRecords(records, columns, 'join');
+        assert.equal(rows[0].images, 'https://images.asos-media.com/a-1 | https://images.asos-media.com/a-2');
+        assert.equal(rows[0].sizes, 'US 8 | US 9');
+        assert.equal(rows[1].sizes, '');
+    });
+
+    it('spreads arrays over numbered columns as wide as the longest value', () => {
+        const { headers, rows } = flattenRecords(records, columns, 'columns');
+        assert.deepEqual(headers, ['product_id', 'images_1', 'images_2', 'sizes_1', 'sizes_2']);
+        assert.equal(rows[1].images_1, 'https://images.asos-media.com/b-1');
+        assert.equal(rows[1].images_2, null);
+        assert.equal(rows[0].sizes_2, 'US 9');
+    });
+
+    it('keeps arrays as they are', () => {
+        const { rows } = flattenRecords(records, columns, 'keep');
+        assert.deepEqual(rows[0].sizes, records[0].sizes);
+    });
+});
+
+describe('serializers', () => {
+    const { headers, rows } = flattenRecords(records, resolveColumns(records, ['product_id', 'title', 'price_value', 'is_sale', 'sizes']), 'keep');
+
+    it('writes CSV with quoting and JSON for kept arrays', () => {
+        const lines = toCsv(headers, rows).split('\r\n');
+        assert.equal(lines[0], 'product_id,title,price_value,is_sale,sizes');
+        assert.ok(lines[1].startsWith('204981234,"Nike Running Pegasus 41 trainers in grey, ""wide fit""",98,true,"[{""size"":""US 8""'));
+        assert.equal(lines[2], '205126785,Nike Air Max 90,135,false,[]');
+        assert.equal(lines[3], '');
+    });
+
+    it('writes one JSON object per line in column order', () => {
+        const lines = toJsonl(headers, rows).trim().split('\n');
+        assert.equal(lines.length, 2);
+        assert.deepEqual(Object.keys(JSON.parse(lines[0])), headers);
+        assert.deepEqual(JSON.parse(lines[1]).sizes, []);
+    });
+
+    it('writes a Parquet file', () => {
+        const file = toParquet(headers, rows);
+        assert.equal(file.subarray(0, 4).toString(), 'PAR1');
+        assert.equal(file.subarray(-4).toString(), 'PAR1');
+    });
+});
+
+describe('Parquet read-back', () => {
+    // hyparquet reads from an ArrayBuffer holding just the file
+    const arrayBuffer = (file) => file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength);
+
+    it('keeps numbers and booleans typed and writes everything else as text', async () => {
+        const { headers, rows } = flattenRecords(records, resolveColumns(records, ['product_id', 'price_value', 'is_sale', 'images', 'sizes']), 'join');
+        const file = arrayBuffer(toParquet(headers, rows));
+
+        const types = Object.fromEntries(parquetMetadata(file).schema.slice(1).map((column) => [column.name, column.type]));
+        assert.deepEqual(types, { product_id: 'BYTE_ARRAY', price_value: 'DOUBLE', is_sale: 'BOOLEAN', images: 'BYTE_ARRAY', sizes: 'BYTE_ARRAY' });
+        assert.deepEqual(await parquetReadObjects({ file }), [
+            {
+                product_id: '204981234',
+                price_value: 98,
+                is_sale: true,
+                images: 'https://images.asos-media.com/a-1 | https://images.asos-media.com/a-2',
+                sizes: 'US 8 | US 9',
+            },
+            { product_id: '205126785', price_value: 135, is_sale: false, images: 'https://images.asos-media.com/b-1', sizes: '' },
+        ]);
+    });
+
+    it('writes missing values as nulls', async () => {
+        const sparse = [{ product_id: '1', price_value: 10 }, { product_id: '2' }];
+        const { headers, rows } = flattenRecords(sparse, resolveColumns(sparse), 'join');
+        const file = arrayBuffer(toParquet(headers, rows));
+        assert.deepEqual(await parquetReadObjects({ file }), [
+            { product_id: '1', price_value: 10 },
+            { product_id: '2', price_value: null },
+        ]);
+    });
+
+    it('writes a readable file for an empty dataset', async () => {
+        const { headers, rows } = flattenRecords([], resolveColumns([]), 'join');
+        const file = arrayBuffer(toParquet(headers, rows));
+        assert.equal(parquetMetadata(file).num_rows, 0n);
+        assert.deepEqual(await parquetReadObjects({ file }), []);
+    });
+});
@@ -0,0 +1,202 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import * as cheerio from 'cheerio';
+
+import {
+    extractCategoryId,
+    extractCategoryName,
+    extractNextData,
+    extractPagination,
+    extractPaginationFromUrl,
+    extractProductDetails,
+    extractWindowAsos,
+    getProductsFromWindow,
+    nextPageUrl,
+    pageUrl,
+    parseDomProducts,
+} from '../src/extract.js';
+import { loadFixture, loadHtmlFixture } from './helpers.js';
+
+describe('window.asos extraction', () => {
+    const data = extractWindowAsos(loadFixture('listing-window-asos.html'));
+
+    it('parses the data-id JSON payload', () => {
+        const products = getProductsFromWindow(data);
+        assert.equal(products.length, 2);
+        assert.equal(products[0].id, 205126785);
+        assert.equal(products[1].brandName, 'Nike Running');
+        assert.equal(products[1].price.previous.value, 140);
+    });
+
+    it('reads pagination', () => {
+        assert.deepEqual(extractPagination(data), { page: 1, pageSize: 72, totalPages: 3, totalResults: 146 });
+    });
+
+    it('evaluates inline window.asos assignments', () => {
+        const html = '<script>window.asos.plp = {"products":[{"id":1,"name":"Inline product"}]};</script>';
+        const products = getProductsFromWindow(extractWindowAsos(html));
+        assert.equal(products.length, 1);
+        assert.equal(products[0].name, 'Inline product');
+    });
+
+    it('returns null when no payload is present', () => {
+        assert.equal(extractWindowAsos('<html><body>Access Denied</body></html>'), null);
+    });
+});
+
+describe('__NEXT_DATA__ extraction', () => {
+    it('reads products from page props', () => {
+        const products = getProductsFromWindow(extractNextData(loadFixture('listing-next-data.html')));
+        assert.equal(products.length, 1);
+        assert.equal(products[0].name, 'ASOS DESIGN satin slip midi dress in black');
+        assert.equal(products[0].price.currency, 'GBP');
+    });
+
+    it('returns null for malformed JSON', () => {
+        assert.equal(extractNextData('<script id="__NEXT_DATA__">{broken</script>'), null);
+    });
+});
+
+describe('DOM tile parsing', () => {
+    const { html, $ } = loadHtmlFixture('listing-dom.html');
+    const products = parseDomProducts(html, $);
+
+    it('parses every product tile', () => {
+        assert.deepEqual(
+            products.map((p) => p.id),
+            ['205126785', '204981234', '203877002'],
+        );
+    });
+
+    it('reads titles, prices and currency symbols', () => {
+        const [first, second] = products;
+        assert.equal(first.name, 'Nike Air Max 90 trainers in white and black');
+        assert.equal(first.price.current.value, 135);
+        assert.equal(first.currency, '$');
+        assert.equal(second.price.current.value, 98);
+        assert.equal(second.price.previous.value, 140);
+        assert.equal(second.isMarkedDown, true);
+    });
+
+    it('strips image query parameters', () => {
+        assert.equal(
+            products[0].imageUrl,
+            'https://images.asos-media.com/products/nike-air-max-90-trainers-in-white-and-black/205126785-1-white',
+        );
+    });
+
+    it('leaves tiles with only a placeholder image without one', () => {
+        assert.equal(products[2].imageUrl, null);
+        assert.deepEqual(products[2].additionalImageUrls, []);
+    });
+
+    it('collects lazy-loaded hover images into the gallery', () => {
+        assert.deepEqual(products[0].additionalImageUrls, [
+            'https://images.asos-media.com/products/nike-air-max-90-trainers-in-white-and-black/205126785-2',
+        ]);
+    });
+
+    it('reads colour from the title and badges from overlays', () => {
+        assert.equal(products[1].colour, 'grey');
+        assert.deepEqual(products[1].badges, [{ text: 'Selling fast' }]);
+        assert.deepEqual(products[2].badges, [{ text: 'MORE COLOURS' }]);
+    });
+
+    it('keeps previous, was and RRP prices apart', () => {
+        assert.equal(products[1].price.was.value, null);
+        assert.equal(products[1].price.rrp.value, null);
+        const outlet = loadHtmlFixture('listing-outlet-dom.html');
+        const [jacket] = parseDomProducts(outlet.html, outlet.$);
+        assert.equal(jacket.price.previous.value, 30);
+        assert.equal(jacket.price.rrp.value, 48);
+        assert.equal(jacket.price.current.value, 24);
+        assert.deepEqual(jacket.badges, [{ text: 'Outlet' }]);
+    });
+
+    it('keeps lowercase sub-brands', () => {
+        assert.equal(products[2].brandName, 'adidas Originals');
+    });
+
+    it('keeps tiles whose image is a lazy-load placeholder', () => {
+        assert.equal(products[2].name, 'adidas Originals Samba OG trainers in white');
+    });
+
+    it('flags group tiles and tiles with more colours', () => {
+        assert.equal(products[2].isGroup, true);
+        assert.equal(products[2].hasVariantColours, true);
+        assert.equal(products[0].isGroup, false);
+        assert.equal(products[0].hasVariantColours, false);
+    });
+});
+
+describe('pagination helpers', () => {
+    it('reads the page number from the URL', () => {
+        assert.equal(extractPaginationFromUrl('https://www.asos.com/us/search/?q=shoes&page=4').page, 4);
+    });
+
+    it('advances the page parameter and keeps other parameters', () => {
+        const next = nextPageUrl('https://www.asos.com/us/search/?q=shoes&page=1&sort=freshness', { page: 1, totalPages: 3 }, 72);
+        assert.equal(next, 'https://www.asos.com/us/search/?q=shoes&page=2&sort=freshness');
+    });
+
+    it('stops on the last page or an empty page', () => {
+        assert.equal(nextPageUrl('https://www.asos.com/us/search/?q=shoes&page=3', { page: 3, totalPages: 3 }, 72), null);
+        assert.equal(nextPageUrl('https://www.asos.com/us/search/?q=shoes&page=2', null, 0), null);
+    });
+
+    it('jumps to any page for parallel page ranges', () => {
+        assert.equal(pageUrl('https://www.asos.com/us/cat/?cid=4209&sort=priceasc', 5), 'https://www.asos.com/us/cat/?cid=4209&sort=priceasc&page=5');
+        assert.equal(pageUrl('https://www.asos.com/us/search/?q=shoes&page=1', 3), 'https://www.asos.com/us/search/?q=shoes&page=3');
+    });
+});
+
+describe('category helpers', () => {
+    it('reads the cid from category URLs', () => {
+        assert.equal(extractCategoryId('https://www.asos.com/men/shoes-boots-trainers/cat/?cid=4209&page=2'), '4209');
+        assert.equal(extractCategoryId('https://www.asos.com/us/search/?q=shoes'), null);
+    });
+
+    it('prefers the payload category name over the page heading', () => {
+        const $ = cheerio.load('<h1> Men\'s  Trainers </h1>');
+        assert.equal(extractCategoryName({ plp: { categoryName: 'Trainers' } }, $), 'Trainers');
+        assert.equal(extractCategoryName(null, $), "Men's Trainers");
+    });
+});
+
+describe('product detail extraction', () => {
+    const { html, $ } = loadHtmlFixture('product-detail.html');
+    const details = extractProductDetails(html, $);
+
+    it('reads variants from the pdp config', () => {
+        assert.deepEqual(details.variants[0], { size: 'US 8', variant_id: '204981301', sku: '129876-08', in_stock: true });
+        assert.equal(details.variants.length, 3);
+        assert.equal(details.sku, '129876');
+    });
+
+    it('reads description sections without their headings', () => {
+        assert.equal(details.description, 'Trainers by Nike Running\nLace-up fastening\nCushioned midsole');
+        assert.equal(details.careInfo, 'Wipe clean with a damp cloth');
+        assert.equal(details.materials, 'Upper: 100% Textile');
+        assert.equal(details.sizeAndFit, 'True to size');
+    });
+
+    it('merges pdp and JSON-LD images without duplicates', () => {
+        assert.equal(details.images.length, 3);
+    });
+
+    it('reads the catwalk video and a missing spin', () => {
+        assert.equal(
+            details.videoUrl,
+            'https://video.asos-media.com/products/nike-running-pegasus-41-trainers-in-grey/204981234-catwalk-AVS.m3u8',
+        );
+        assert.equal(details.spinUrl, null);
+    });
+
+    it('orders breadcrumbs by position', () => {
+        assert.deepEqual(
+            details.breadcrumbs.map((c) => c.name),
+            ['Home', 'Men', 'Trainers'],
+        );
+    });
+});
@@ -0,0 +1,155 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { normalizeApiProduct } from '../src/api.js';
+import { parseDomProducts } from '../src/extract.js';
+import {
+    buildFilters,
+    buildRefinement,
+    discountPercent,
+    discountRange,
+    hasFacetFilters,
+    normalizeFacets,
+    passesFilters,
+} from '../src/facets.js';
+import { resolveStore } from '../src/stores.js';
+import { loadHtmlFixture, loadJsonFixture } from './helpers.js';
+
+const api = loadJsonFixture('search-api.json');
+const facets = normalizeFacets(api.facets);
+const [airMax, pegasus] = api.products.map((p) => normalizeApiProduct(p, resolveStore('US')));
+
+describe('normalizeFacets', () => {
+    it('keeps facet names, values and counts', () => {
+        assert.equal(facets.length, 3);
+        assert.deepEqual(facets[0].values[1], { id: '15159', name: 'Nike Running', count: 26 });
+    });
+});
+
+describe('buildRefinement', () => {
+    it('maps filter names to facet value IDs case-insensitively', () => {
+        const filters = buildFilters({ brands: ['nike running'], colours: ['White', 'Grey'], sizes: ['US 10'] });
+        assert.deepEqual(buildRefinement(facets, filters), {
+            refine: 'brand:15159|base_colour:4,9|size_us:2063',
+            unmatched: [],
+        });
+    });
+
+    it('reports values with no matching facet', () => {
+        const { refine, unmatched } = buildRefinement(facets, buildFilters({ brands: ['Nike', 'Puma'], productTypes: ['Boots'] }));
+        assert.equal(refine, 'brand:14269');
+        assert.deepEqual(unmatched, ['Puma', 'Boots']);
+    });
+
+    it('returns no refinement without facet filters', () => {
+        const filters = buildFilters({ outletOnly: true, maxDiscount: 30 });
+        assert.equal(hasFacetFilters(filters), false);
+        assert.equal(buildRefinement(facets, filters).refine, null);
+    });
+
+    describe('sale and discount filters', () => {
+        const discountFacets = [
+            ...facets,
+            ...normalizeFacets([
+                {
+                    id: 'discount_band',
+                    name: 'Discount',
+                    facetValues: [
+                        { id: '1', name: 'Up to 20%' },
+                        { id: '2', name: '20% - 40%' },
+                        { id: '3', name: '40% - 60%' },
+                        { id: '4', name: '60% and more' },
+                    ],
+                },
+            ]),
+        ];
+        const saleFacets = [
+            ...facets,
+            ...normalizeFacets([{ id: 'attribute_10155', name: 'Sale/New Season', facetValues: [{ id: '7', name: 'New Season' }, { id: '8', name: 'Sale' }] }]),
+        ];
+
+        it('refines minDiscount to the discount bands that can reach it', () => {
+            const filters = buildFilters({ minDiscount: 30, maxDiscount: 50 });
+            assert.equal(hasFacetFilters(filters), true);
+            assert.deepEqual(buildRefinement(discountFacets, filters), { refine: 'discount_band:2,3', unmatched: [] });
+        });
+
+        it('refines saleOnly to every discount band, or the sale value without one', () => {
+            const filters = buildFilters({ saleOnly: true, brands: ['Nike'] });
+            assert.equal(buildRefinement(discountFacets, filters).refine, 'brand:14269|discount_band:1,2,3,4');
+            assert.equal(buildRefinement(saleFacets, filters).refine, 'brand:14269|attribute_10155:8');
+        });
+
+        it('keeps sale filters client-side when the listing has no sale or discount facet', () => {
+            assert.deepEqual(buildRefinement(facets, buildFilters({ saleOnly: true })), { refine: null, unmatched: [] });
+        });
+
+        it('leaves a maxDiscount that admits full-price products to the client-side check', () => {
+            assert.equal(buildRefinement(discountFacets, buildFilters({ maxDiscount: 30 })).refine, null);
+        });
+    });
+});
+
+describe('discountRange', () => {
+    it('reads ranges, upper and lower bounds from band names', () => {
+        assert.deepEqual(discountRange('20% - 40%'), [20, 40]);
+        assert.deepEqual(discountRange('Up to 20%'), [0, 20]);
+        assert.deepEqual(discountRange('60% and more'), [60, 100]);
+        assert.equal(discountRange('Sale'), null);
+    });
+});
+
+describe('passesFilters', () => {
+    it('filters brands by exact name or sub-brand', () => {
+        const filters = buildFilters({ brands: ['Nike'] });
+        assert.equal(passesFilters(airMax, filters), true);
+        assert.equal(passesFilters(pegasus, filters), true);
+        assert.equal(passesFilters(pegasus, buildFilters({ brands: ['Nike Running'] })), true);
+        assert.equal(passesFilters(airMax, buildFilters({ brands: ['Nike Running'] })), false);
+    });
+
+    it('filters colours and product types', () => {
+        assert.equal(passesFilters(pegasus, buildFilters({ colours: ['grey'] })), true);
+        assert.equal(passesFilters(airMax, buildFilters({ colours: ['grey'] })), false);
+        assert.equal(passesFilters(airMax, buildFilters({ productTypes: ['trainers'] })), true);
+        assert.equal(passesFilters(airMax, buildFilters({ productTypes: ['boots'] })), false);
+    });
+
+    it('filters sale items and discount ranges', () => {
+        assert.equal(passesFilters(airMax, buildFilters({ saleOnly: true })), false);
+        assert.equal(passesFilters(pegasus, buildFilters({ saleOnly: true })), true);
+        assert.equal(passesFilters(pegasus, buildFilters({ minDiscount: 25, maxDiscount: 40 })), true);
+        assert.equal(passesFilters(pegasus, buildFilters({ minDiscount: 50 })), false);
+    });
+
+    it('keeps only outlet or only full-price items', () => {
+        const outlet = { ...airMax, isOutlet: true };
+        assert.equal(passesFilters(outlet, buildFilters({ outletOnly: true })), true);
+        assert.equal(passesFilters(pegasus, buildFilters({ outletOnly: true })), false);
+        assert.equal(passesFilters(airMax, buildFilters({ fullPriceOnly: true })), true);
+        assert.equal(passesFilters(pegasus, buildFilters({ fullPriceOnly: true })), false);
+        assert.equal(passesFilters(outlet, buildFilters({ fullPriceOnly: true })), false);
+    });
+
+    it('skips facet checks the API already applied', () => {
+        assert.equal(passesFilters(airMax, buildFilters({ brands: ['Adidas'] }), { refinedByApi: true }), true);
+        assert.equal(passesFilters(airMax, buildFilters({ saleOnly: true }), { refinedByApi: true }), false);
+    });
+
+    it('works on DOM products', () => {
+        const { html, $ } = loadHtmlFixture('listing-dom.html');
+        const products = parseDomProducts(html, $);
+        const kept = products.filter((p) => passesFilters(p, buildFilters({ colours: ['white'] })));
+        assert.deepEqual(
+            kept.map((p) => p.id),
+            ['205126785', '203877002'],
+        );
+    });
+});
+
+describe('discountPercent', () => {
+    it('compares the current price with the previous price', () => {
+        assert.equal(discountPercent(pegasus.price), 30);
+        assert.equal(discountPercent(airMax.price), null);
+    });
+});
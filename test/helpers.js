@@ -0,0 +1,19 @@
+// Shared test helpers - fixture loading
+import { readFileSync } from 'node:fs';
+
+import * as cheerio from 'cheerio';
+
+const FIXTURES_DIR = new URL('./fixtures/', import.meta.url);
+
+export function loadFixture(name) {
+    return readFileSync(new URL(name, FIXTURES_DIR), 'utf8');
+}
+
+export function loadJsonFixture(name) {
+    return JSON.parse(loadFixture(name));
+}
+
+export function loadHtmlFixture(name) {
+    const html = loadFixture(name);
+    return { html, $: cheerio.load(html) };
+}
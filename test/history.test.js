@@ -0,0 +1,118 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { normalizeApiProduct } from '../src/api.js';
+import { changeEntry, collectRemoved, detectChange, snapshotProduct } from '../src/history.js';
+import { resolveStore } from '../src/stores.js';
+import { loadJsonFixture } from './helpers.js';
+
+const [airMax, pegasus] = loadJsonFixture('search-api.json').products.map((p) => normalizeApiProduct(p, resolveStore('US')));
+const record = { product_id: '204981234', title: 'Pegasus', product_url: 'https://www.asos.com/us/prd/204981234', query: 'nike shoes' };
+
+const historyWith = (entries = {}) => ({ entries: new Map([['US', entries]]) });
+
+describe('snapshotProduct', () => {
+    it('reads price, original price, sale flag and stock', () => {
+        assert.deepEqual(snapshotProduct(pegasus), { price: 98, original_price: 140, is_sale: true, in_stock: true });
+        assert.deepEqual(snapshotProduct(airMax), { price: 135, original_price: null, is_sale: false, in_stock: true });
+    });
+});
+
+describe('detectChange', () => {
+    const now = '2026-10-19T06:00:00.000Z';
+    const earlier = '2026-10-18T06:00:00.000Z';
+    const previous = (overrides) => ({ US: { 204981234: { price: 120, in_stock: true, first_seen: earlier, last_seen: earlier, ...overrides } } });
+
+    it('flags products never seen before as new', () => {
+        const history = historyWith();
+        assert.deepEqual(detectChange(history, 'US', record, snapshotProduct(pegasus), now), {
+            change_type: 'new',
+            previous_price: null,
+            first_seen: now,
+            last_seen: now,
+        });
+        assert.equal(history.entries.get('US')['204981234'].price, 98);
+    });
+
+    it('detects price drops and rises', () => {
+        const drop = detectChange({ entries: new Map(Object.entries(previous())) }, 'US', record, snapshotProduct(pegasus), now);
+        assert.equal(drop.change_type, 'price_drop');
+        assert.equal(drop.previous_price, 120);
+        assert.equal(drop.first_seen, earlier);
+
+        const rise = detectChange({ entries: new Map(Object.entries(previous({ price: 90 }))) }, 'US', record, snapshotProduct(pegasus), now);
+        assert.equal(rise.change_type, 'price_rise');
+    });
+
+    it('detects restocks and relistings before price changes', () => {
+        const restock = detectChange({ entries: new Map(Object.entries(previous({ in_stock: false }))) }, 'US', record, snapshotProduct(pegasus), now);
+        assert.equal(restock.change_type, 'back_in_stock');
+
+        const relisted = detectChange({ entries: new Map(Object.entries(previous({ removed: true }))) }, 'US', record, snapshotProduct(pegasus), now);
+        assert.equal(relisted.change_type, 'back_in_stock');
+    });
+
+    it('reports unchanged products', () => {
+        const change = detectChange({ entries: new Map(Object.entries(previous({ price: 98 }))) }, 'US', record, snapshotProduct(pegasus), now);
+        assert.equal(change.change_type, 'unchanged');
+    });
+
+    it('reports a moved original price or sale flag at the same current price', () => {
+        const same = { price: 98, original_price: 140, is_sale: true };
+        const rrpChanged = detectChange({ entries: new Map(Object.entries(previous({ ...same, original_price: 150 }))) }, 'US', record, snapshotProduct(pegasus), now);
+        assert.equal(rrpChanged.change_type, 'sale_change');
+        const saleStarted = detectChange({ entries: new Map(Object.entries(previous({ ...same, is_sale: false }))) }, 'US', record, snapshotProduct(pegasus), now);
+        assert.equal(saleStarted.change_type, 'sale_change');
+        const unchanged = detectChange({ entries: new Map(Object.entries(previous(same))) }, 'US', record, snapshotProduct(pegasus), now);
+        assert.equal(unchanged.change_type, 'unchanged');
+    });
+
+    it('reports the same change when a second query finds the product in the same run', () => {
+        const history = { entries: new Map(Object.entries(previous())) };
+        detectChange(history, 'US', record, snapshotProduct(pegasus), now);
+        const again = detectChange(history, 'US', { ...record, query: 'running shoes' }, snapshotProduct(pegasus), now);
+        assert.equal(again.change_type, 'price_drop');
+    });
+});
+
+describe('changeEntry', () => {
+    it('keeps the identity, change and prices of a changed record without its other fields', () => {
+        const now = '2026-10-19T06:00:00.000Z';
+        const snapshot = snapshotProduct(pegasus);
+        const changed = { ...record, images: ['a.jpg'], description: 'Long text', ...detectChange(historyWith(), 'US', record, snapshot, now) };
+        assert.deepEqual(changeEntry(changed, 'US', snapshot, now), {
+            product_id: '204981234',
+            title: 'Pegasus',
+            store: 'US',
+            product_url: 'https://www.asos.com/us/prd/204981234',
+            query: 'nike shoes',
+            change_type: 'new',
+            price: 98,
+            previous_price: null,
+            original_price: 140,
+            is_sale: true,
+            first_seen: now,
+            last_seen: now,
+            run_started_at: now,
+        });
+    });
+});
+
+describe('collectRemoved', () => {
+    const now = '2026-10-19T06:00:00.000Z';
+
+    it('flags products of this run\'s queries that were not seen again', () => {
+        const history = historyWith({
+            1: { query: 'nike shoes', price: 50, last_seen: '2026-10-18T06:00:00.000Z' },
+            2: { query: 'nike shoes', price: 60, last_seen: now },
+            3: { query: 'other query', price: 70, last_seen: '2026-10-18T06:00:00.000Z' },
+        });
+        const removed = collectRemoved(history, [{ store: 'US', value: 'nike shoes' }], now);
+        assert.deepEqual(
+            removed.map((r) => [r.product_id, r.change_type, r.previous_price]),
+            [['1', 'removed', 50]],
+        );
+        assert.equal(history.entries.get('US')[1].removed, true);
+        assert.deepEqual(collectRemoved(history, [{ store: 'US', value: 'nike shoes' }], now), []);
+    });
+});
@@ -0,0 +1,84 @@
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { createServer } from 'node:http';
+import { after, before, describe, it } from 'node:test';
+
+import { absoluteMediaUrl, collectImages, createImageCheck, validateImageOptions, verifyImageUrls } from '../src/images.js';
+
+describe('image options', () => {
+    it('accepts a pixel width and a supported format', () => {
+        assert.doesNotThrow(() => validateImageOptions({ size: 800, format: 'webp' }));
+        assert.doesNotThrow(() => validateImageOptions({ size: null, format: null }));
+    });
+
+    it('rejects widths and formats the image service cannot serve', () => {
+        assert.throws(() => validateImageOptions({ size: -5 }), /Invalid imageSize/);
+        assert.throws(() => validateImageOptions({ size: 'large' }), /Invalid imageSize/);
+        assert.throws(() => validateImageOptions({ format: 'gif' }), /Unknown imageFormat "gif"/);
+    });
+});
+
+describe('collectImages', () => {
+    it('dedupes URLs that differ only by size presets', () => {
+        const images = collectImages([
+            '//images.asos-media.com/products/dress/203300111-1-black?$n_320w$&wid=317',
+            'images.asos-media.com/products/dress/203300111-1-black',
+            { url: 'images.asos-media.com/products/dress/203300111-2' },
+            null,
+        ]);
+        assert.deepEqual(images, [
+            'https://images.asos-media.com/products/dress/203300111-1-black',
+            'https://images.asos-media.com/products/dress/203300111-2',
+        ]);
+    });
+
+    it('maps size and format to the wid and fmt params', () => {
+        assert.deepEqual(collectImages(['images.asos-media.com/products/dress/203300111-1-black'], { size: 640, format: 'avif' }), [
+            'https://images.asos-media.com/products/dress/203300111-1-black?wid=640&fmt=avif',
+        ]);
+    });
+});
+
+describe('absoluteMediaUrl', () => {
+    it('adds the protocol to bare and protocol-relative URLs', () => {
+        assert.equal(absoluteMediaUrl('video.asos-media.com/products/a/1-catwalk.m3u8'), 'https://video.asos-media.com/products/a/1-catwalk.m3u8');
+        assert.equal(absoluteMediaUrl('//video.asos-media.com/a.mp4'), 'https://video.asos-media.com/a.mp4');
+        assert.equal(absoluteMediaUrl('https://video.asos-media.com/a.mp4'), 'https://video.asos-media.com/a.mp4');
+        assert.equal(absoluteMediaUrl(null), null);
+    });
+});
+
+describe('verifyImageUrls', () => {
+    let server;
+    let baseUrl;
+    const requests = [];
+
+    before(async () => {
+        server = createServer((req, res) => {
+            requests.push(`${req.method} ${req.url}`);
+            res.writeHead(req.url.startsWith('/missing') ? 404 : 200, { 'content-type': 'image/jpeg' });
+            res.end();
+        });
+        server.listen(0, '127.0.0.1');
+        await once(server, 'listening');
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        server.close();
+        await once(server, 'close');
+    });
+
+    it('drops URLs that do not resolve and keeps the order', async () => {
+        const urls = [`${baseUrl}/ok-1`, `${baseUrl}/missing-2`, `${baseUrl}/ok-3`];
+        assert.deepEqual(await verifyImageUrls(createImageCheck(), urls), [`${baseUrl}/ok-1`, `${baseUrl}/ok-3`]);
+    });
+
+    it('requests each URL once per check', async () => {
+        const check = createImageCheck();
+        requests.length = 0;
+        await verifyImageUrls(check, [`${baseUrl}/shared`]);
+        await verifyImageUrls(check, [`${baseUrl}/shared`, `${baseUrl}/shared`]);
+        assert.deepEqual(requests, ['HEAD /shared']);
+    });
+});
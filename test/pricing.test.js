@@ -0,0 +1,40 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { discountAgainst, isOutletProduct, isOutletUrl, priceDiscounts, referencePrice } from '../src/pricing.js';
+
+describe('referencePrice', () => {
+    it('prefers the previous price, then the was price, then the RRP', () => {
+        assert.equal(referencePrice({ previous: { value: 30 }, was: { value: 35 }, rrp: { value: 48 } }), 30);
+        assert.equal(referencePrice({ previous: { value: null }, was: { value: 35 }, rrp: { value: 48 } }), 35);
+        assert.equal(referencePrice({ rrp: { value: 48 } }), 48);
+        assert.equal(referencePrice(null), null);
+    });
+});
+
+describe('priceDiscounts', () => {
+    it('reports the discount against the previous price and against the RRP', () => {
+        const price = { current: { value: 24 }, previous: { value: 30 }, rrp: { value: 48 } };
+        assert.deepEqual(priceDiscounts(price), { previous: 20, rrp: 50 });
+    });
+
+    it('ignores reference prices that are not higher', () => {
+        assert.deepEqual(priceDiscounts({ current: { value: 50 }, rrp: { value: 50 } }), { previous: null, rrp: null });
+        assert.equal(discountAgainst(50, null), null);
+    });
+});
+
+describe('outlet detection', () => {
+    it('recognises outlet section URLs', () => {
+        assert.equal(isOutletUrl('https://www.asos.com/men/outlet/cat/?cid=27396'), true);
+        assert.equal(isOutletUrl('https://www.asos.com/us/search/?q=outlet'), false);
+        assert.equal(isOutletUrl('not a url'), false);
+    });
+
+    it('recognises outlet products from flags and badges', () => {
+        assert.equal(isOutletProduct({ price: { isOutletPrice: true } }), true);
+        assert.equal(isOutletProduct({ badges: [{ text: 'Outlet' }] }), true);
+        assert.equal(isOutletProduct({ isOutlet: true }), true);
+        assert.equal(isOutletProduct({ badges: [{ text: 'Selling fast' }], price: { isOutletPrice: false } }), false);
+    });
+});
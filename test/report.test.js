@@ -0,0 +1,71 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+    checkHealth,
+    createRunReport,
+    recordFailure,
+    recordPage,
+    recordSaved,
+    summarizeRunReport,
+    validateHealthThresholds,
+} from '../src/report.js';
+
+function sampleReport() {
+    const report = createRunReport();
+    recordPage(report, { url: 'https://www.asos.com/us/search/?q=nike&page=1', store: 'US', query: 'nike', method: 'REST API', products: 72 });
+    recordPage(report, { url: 'https://www.asos.com/us/search/?q=nike&page=2', store: 'US', query: 'nike', method: 'DOM parsing', products: 48 });
+    recordPage(report, { url: 'https://www.asos.com/us/search/?q=nike&page=3', store: 'US', query: 'nike', method: null, products: 0 });
+    recordSaved(report, { brand: 'Nike', color: 'White', image_url: 'https://images.asos-media.com/a.jpg', original_price: null });
+    recordSaved(report, { brand: null, color: 'Grey', image_url: null, original_price: '$140.00' });
+    report.duplicatesSkipped = 3;
+    report.requestsFinished = 3;
+    recordFailure(report, { url: 'https://www.asos.com/us/prd/1', label: 'DETAIL', retryCount: 2 }, new Error('timeout'));
+    return report;
+}
+
+describe('summarizeRunReport', () => {
+    const summary = summarizeRunReport(sampleReport(), { block_rates: [] });
+
+    it('counts pages per extraction method', () => {
+        assert.equal(summary.pages_fetched, 3);
+        assert.deepEqual(summary.pages_by_method, { 'REST API': 1, 'DOM parsing': 1, none: 1 });
+        assert.equal(summary.dom_fallback_percent, 50);
+        assert.equal(summary.products_per_page, 40);
+    });
+
+    it('reports field fill rates over saved records', () => {
+        assert.deepEqual(summary.field_fill_percent, { brand: 50, color: 100, image_url: 50, original_price: 50 });
+    });
+
+    it('lists failures and extra sections', () => {
+        assert.equal(summary.failed_requests, 1);
+        assert.equal(summary.failed_request_percent, 25);
+        assert.equal(summary.failures[0].label, 'DETAIL');
+        assert.equal(summary.duplicates_skipped, 3);
+        assert.deepEqual(summary.block_rates, []);
+    });
+});
+
+describe('checkHealth', () => {
+    const summary = summarizeRunReport(sampleReport());
+
+    it('fails thresholds the run breaks', () => {
+        const health = checkHealth(summary, { maxDomFallbackPercent: 20, minColorFillPercent: 90 });
+        assert.equal(health.passed, false);
+        assert.deepEqual(health.violations, ['maxDomFallbackPercent is 20% but the run measured 50%']);
+    });
+
+    it('passes without thresholds', () => {
+        assert.deepEqual(checkHealth(summary), { passed: true, violations: [] });
+    });
+
+    it('skips checks without data', () => {
+        const empty = summarizeRunReport(createRunReport());
+        assert.equal(checkHealth(empty, { minBrandFillPercent: 80 }).passed, true);
+    });
+
+    it('rejects unknown thresholds up front', () => {
+        assert.throws(() => validateHealthThresholds({ minBrandPercent: 80 }), /Unknown health thresholds: minBrandPercent/);
+    });
+});
@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { listingRequest, startRequest } from '../src/requests.js';
+
+const query = { key: 'US|keyword:nike', store: 'US', type: 'keyword', value: 'nike' };
+const url = 'https://www.asos.com/us/search/?q=nike&page=2';
+
+describe('listingRequest', () => {
+    it('builds an API call that skips the page download', () => {
+        const request = listingRequest(query, url, { store: 'US', query: query.key }, { api: true });
+        assert.equal(request.label, 'API');
+        assert.equal(request.skipNavigation, true);
+        assert.equal(request.uniqueKey, 'US|keyword:nike|api|https://www.asos.com/us/search/?q=nike&page=2');
+    });
+
+    it('routes the HTML fallback of an API request to the listing handler', () => {
+        const apiUserData = { store: 'US', query: query.key, categoryName: 'Shoes', label: 'API' };
+        const request = listingRequest(query, url, apiUserData);
+        assert.equal(request.label, undefined);
+        assert.equal(request.skipNavigation, undefined);
+        assert.deepEqual(request.userData, { store: 'US', query: query.key, categoryName: 'Shoes' });
+        assert.equal(request.uniqueKey, 'US|keyword:nike|https://www.asos.com/us/search/?q=nike&page=2');
+    });
+
+    it('routes follow-up pages of an API request as HTML pages once the API is off', () => {
+        const request = listingRequest(query, url, { store: 'US', query: query.key, label: 'API' }, { api: false });
+        assert.equal('label' in request.userData, false);
+        assert.equal(request.label, undefined);
+    });
+});
+
+describe('startRequest', () => {
+    it('starts listing queries as API calls or HTML pages', () => {
+        assert.equal(startRequest({ ...query, url }, { api: true }).label, 'API');
+        assert.equal(startRequest({ ...query, url }).label, undefined);
+    });
+
+    it('starts URLs the API cannot express as HTML pages', () => {
+        const otherUrl = 'https://www.asos.com/us/women/new-in/';
+        const request = startRequest({ key: `US|url:${otherUrl}`, store: 'US', type: 'url', value: otherUrl, url: otherUrl }, { api: true });
+        assert.equal(request.label, undefined);
+        assert.equal(request.skipNavigation, undefined);
+    });
+
+    it('starts /grp/ start URLs as group pages', () => {
+        const groupUrl = 'https://www.asos.com/us/asos-design/asos-design-suit/grp/212345';
+        const request = startRequest({ key: `US|url:${groupUrl}`, store: 'US', type: 'url', value: groupUrl, url: groupUrl }, { api: true });
+        assert.equal(request.label, 'GROUP');
+        assert.equal(request.userData.groupId, '212345');
+    });
+});
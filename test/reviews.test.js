@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { normalizeReviews, reviewFields } from '../src/reviews.js';
+import { loadJsonFixture } from './helpers.js';
+
+describe('normalizeReviews', () => {
+    const reviews = normalizeReviews(loadJsonFixture('reviews-api.json'), '204981234');
+
+    it('reads the average rating, distribution and counts', () => {
+        assert.deepEqual(reviews.summary, {
+            rating: 4.3,
+            rating_count: 37,
+            review_count: 37,
+            rating_distribution: { 1: 2, 2: 1, 3: 4, 4: 8, 5: 22 },
+        });
+    });
+
+    it('reads review texts with date, rating and size feedback', () => {
+        assert.deepEqual(reviews.reviews[0], {
+            review_id: '312445871',
+            date: '2026-09-28T14:03:11.000+00:00',
+            rating: 5,
+            title: 'Comfiest running shoes',
+            text: 'Really light and the cushioning is great on long runs. Bought my usual size.',
+            size_fit: 'True to size',
+            author: 'Sam R',
+            recommended: true,
+        });
+        assert.equal(reviews.reviews[1].size_fit, 'Runs small');
+        assert.equal(reviews.reviews[1].title, null);
+    });
+
+    it('gives products without reviews an empty distribution', () => {
+        const empty = normalizeReviews({ totalResults: 0, results: [], includes: { products: {} } }, '1');
+        assert.deepEqual(empty.summary, { rating: null, rating_count: 0, review_count: 0, rating_distribution: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 } });
+        assert.deepEqual(empty.reviews, []);
+    });
+
+    it('returns null when the endpoint failed', () => {
+        assert.equal(normalizeReviews(null, '1'), null);
+    });
+});
+
+describe('reviewFields', () => {
+    const reviews = normalizeReviews(loadJsonFixture('reviews-api.json'), '204981234');
+
+    it('adds recent reviews only when review texts are wanted', () => {
+        assert.equal('recent_reviews' in reviewFields(reviews, 0), false);
+        assert.equal(reviewFields(reviews, 2).recent_reviews.length, 2);
+        assert.equal(reviewFields(reviews, 0).rating, 4.3);
+    });
+
+    it('leaves statistics empty rather than zero after a failed load', () => {
+        assert.deepEqual(reviewFields(null, 3), {
+            rating: null,
+            rating_count: null,
+            review_count: null,
+            rating_distribution: null,
+            recent_reviews: [],
+        });
+    });
+});
@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { restoreQueries, snapshotProgress, snapshotQueries } from '../src/state.js';
+
+function makeQueries() {
+    const query = (key) => ({ key, store: 'US', type: 'keyword', value: key, seenIds: new Set(), saved: 0, shouldStop: false, pagesLeft: 1 });
+    return new Map([
+        ['US|keyword:nike', query('US|keyword:nike')],
+        ['US|keyword:adidas', query('US|keyword:adidas')],
+    ]);
+}
+
+describe('crawl state', () => {
+    it('round-trips query progress through JSON', () => {
+        const queries = makeQueries();
+        const nike = queries.get('US|keyword:nike');
+        nike.seenIds.add('205126785').add('204981234');
+        nike.saved = 2;
+        nike.shouldStop = true;
+        nike.exhausted = true;
+        nike.enqueuedThrough = 4;
+        nike.pagesLeft = 3;
+        nike.facets = [{ id: 'brand', name: 'Brand', values: [] }];
+        nike.refine = 'brand:14269';
+        nike.unmatchedFilters = [];
+
+        const restored = makeQueries();
+        assert.equal(restoreQueries(restored, JSON.parse(JSON.stringify(snapshotQueries(queries)))), 2);
+
+        const resumed = restored.get('US|keyword:nike');
+        assert.deepEqual([...resumed.seenIds], ['205126785', '204981234']);
+        assert.equal(resumed.saved, 2);
+        assert.equal(resumed.shouldStop, true);
+        assert.equal(resumed.exhausted, true);
+        assert.equal(resumed.enqueuedThrough, 4);
+        assert.equal(resumed.pagesLeft, 3);
+        assert.equal(resumed.refine, 'brand:14269');
+        assert.equal(restored.get('US|keyword:adidas').exhausted, undefined);
+    });
+
+    it('ignores queries that are no longer part of the input', () => {
+        const queries = makeQueries();
+        const snapshot = { 'UK|keyword:puma': { seenIds: ['1'], saved: 1, shouldStop: false, exhausted: false } };
+        assert.equal(restoreQueries(queries, snapshot), 0);
+        assert.equal(queries.size, 2);
+    });
+
+    it('starts fresh without a snapshot', () => {
+        assert.equal(restoreQueries(makeQueries(), null), 0);
+    });
+
+    it('resumes a migration in the middle of a page without skipping products that were never stored', () => {
+        // Page of four products: one buffered, one handed to a DETAIL request that is not enqueued yet,
+        // one awaiting its reviews, and one claimed after the previous snapshot while its flush was running
+        const queries = makeQueries();
+        const nike = queries.get('US|keyword:nike');
+        ['1', '2', '3', '4'].forEach((id) => nike.seenIds.add(id));
+        nike.saved = 4;
+        nike.shouldStop = true;
+        const inFlight = new Map([
+            ['US|keyword:nike|2', { query: nike.key, dedupeKey: '2', slot: true, followUp: true }],
+            ['US|keyword:nike|3', { query: nike.key, dedupeKey: '3', slot: true, followUp: false }],
+            ['US|keyword:nike|4', { query: nike.key, dedupeKey: '4', slot: true, followUp: false }],
+        ]);
+
+        const state = JSON.parse(JSON.stringify(snapshotProgress({ queries, runSeenIds: new Set(), pendingFollowUps: 3, inFlight })));
+        assert.equal(state.pendingFollowUps, 2);
+
+        const resumed = makeQueries();
+        restoreQueries(resumed, state.queries);
+        const query = resumed.get('US|keyword:nike');
+        assert.deepEqual([...query.seenIds], ['1']);
+        assert.equal(query.saved, 1);
+        assert.equal(query.shouldStop, false);
+    });
+
+    it('leaves open claims out of run-wide dedup but keeps colourway claims out of the slot count', () => {
+        const queries = makeQueries();
+        const nike = queries.get('US|keyword:nike');
+        nike.saved = 1;
+        const runSeenIds = new Set(['US:1', 'US:2', 'UK:2']);
+        const inFlight = new Map([['US|keyword:nike|US:2', { query: nike.key, dedupeKey: 'US:2', slot: false, followUp: false }]]);
+
+        const state = snapshotProgress({ queries, runSeenIds, pendingFollowUps: 0, inFlight });
+        assert.deepEqual(state.runSeenIds, ['US:1', 'UK:2']);
+        assert.equal(state.queries['US|keyword:nike'].saved, 1);
+    });
+});
@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { absoluteUrl, detectStoreKey, resolveStore } from '../src/stores.js';
+
+describe('resolveStore', () => {
+    it('resolves store defaults', () => {
+        const store = resolveStore('uk');
+        assert.equal(store.key, 'UK');
+        assert.equal(store.code, 'COM');
+        assert.equal(store.currency, 'GBP');
+        assert.equal(store.symbol, '£');
+        assert.equal(store.baseUrl, 'https://www.asos.com');
+    });
+
+    it('applies currency and language overrides', () => {
+        const store = resolveStore('DE', { currency: 'gbp', language: 'en-GB' });
+        assert.equal(store.currency, 'GBP');
+        assert.equal(store.lang, 'en-GB');
+        assert.equal(store.origin, 'https://www.asos.de');
+    });
+
+    it('rejects unknown stores', () => {
+        assert.throws(() => resolveStore('XX'), /Unsupported store/);
+    });
+});
+
+describe('detectStoreKey', () => {
+    it('prefers path-prefixed stores on the shared domain', () => {
+        assert.equal(detectStoreKey('https://www.asos.com/us/search/?q=shoes'), 'US');
+        assert.equal(detectStoreKey('https://www.asos.com/au/men/cat/?cid=1'), 'AU');
+        assert.equal(detectStoreKey('https://www.asos.com/search/?q=shoes'), 'UK');
+        assert.equal(detectStoreKey('https://www.asos.fr/search/?q=robe'), 'FR');
+    });
+
+    it('returns null for foreign or invalid URLs', () => {
+        assert.equal(detectStoreKey('https://example.com/search/'), null);
+        assert.equal(detectStoreKey('not a url'), null);
+    });
+});
+
+describe('absoluteUrl', () => {
+    const us = resolveStore('US');
+
+    it('keeps absolute URLs and resolves root-relative paths against the origin', () => {
+        assert.equal(absoluteUrl('https://www.asos.com/us/prd/1', us), 'https://www.asos.com/us/prd/1');
+        assert.equal(absoluteUrl('/us/nike/prd/1', us), 'https://www.asos.com/us/nike/prd/1');
+    });
+
+    it('resolves API-style relative paths against the store base', () => {
+        assert.equal(absoluteUrl('nike/prd/1', us), 'https://www.asos.com/us/nike/prd/1');
+    });
+});
@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { createServer } from 'node:http';
+import { after, before, describe, it } from 'node:test';
+
+import { resolveStore } from '../src/stores.js';
+import { expandKeyword, flattenSuggestionTree, normalizeSuggestions } from '../src/suggestions.js';
+import { loadJsonFixture } from './helpers.js';
+
+describe('normalizeSuggestions', () => {
+    it('reads distinct search terms across suggestion groups in ranked order', () => {
+        assert.deepEqual(normalizeSuggestions(loadJsonFixture('suggestions-api.json')), [
+            { keyword: 'nike trainers', results: 1843 },
+            { keyword: 'nike air max', results: 412 },
+            { keyword: 'nike', results: 5120 },
+            { keyword: 'nike tech fleece', results: 96 },
+            { keyword: 'nike running', results: 388 },
+        ]);
+    });
+
+    it('returns no suggestions when the endpoint failed', () => {
+        assert.deepEqual(normalizeSuggestions(null), []);
+    });
+});
+
+describe('expandKeyword', () => {
+    let server;
+    let store;
+    const requested = [];
+
+    before(async () => {
+        const fixture = loadJsonFixture('suggestions-api.json');
+        server = createServer((req, res) => {
+            const term = new URL(req.url, 'http://localhost').searchParams.get('q');
+            requested.push(term);
+            const suggestions = [{ searchTerm: `${term} men` }, { searchTerm: 'nike air max' }];
+            const body = term === 'nike' ? fixture : { suggestionGroups: [{ suggestions }] };
+            res.writeHead(200, { 'content-type': 'application/json' });
+            res.end(JSON.stringify(body));
+        });
+        server.listen(0, '127.0.0.1');
+        await once(server, 'listening');
+        store = { ...resolveStore('US'), origin: `http://127.0.0.1:${server.address().port}` };
+    });
+
+    after(async () => {
+        server.close();
+        await once(server, 'close');
+    });
+
+    it('takes the top suggestions of the seed, skipping the seed itself', async () => {
+        const tree = await expandKeyword('nike', store, {}, { depth: 1, limit: 3 });
+        assert.deepEqual(
+            tree.suggestions.map((node) => node.keyword),
+            ['nike trainers', 'nike air max'],
+        );
+        assert.equal(tree.suggestions[0].results, 1843);
+    });
+
+    it('recurses to the depth cap and lists every keyword once', async () => {
+        requested.length = 0;
+        const tree = await expandKeyword('nike', store, {}, { depth: 2, limit: 2 });
+        assert.deepEqual(requested, ['nike', 'nike trainers', 'nike air max']);
+        assert.deepEqual(flattenSuggestionTree(tree), [
+            { keyword: 'nike', suggestedFrom: null, depth: 0 },
+            { keyword: 'nike trainers', suggestedFrom: 'nike', depth: 1 },
+            { keyword: 'nike trainers men', suggestedFrom: 'nike trainers', depth: 2 },
+            { keyword: 'nike air max', suggestedFrom: 'nike', depth: 1 },
+            { keyword: 'nike air max men', suggestedFrom: 'nike air max', depth: 2 },
+        ]);
+    });
+
+    it('skips keywords another tree already covers', async () => {
+        const seen = new Set(['nike trainers']);
+        const tree = await expandKeyword('nike', store, {}, { depth: 1, limit: 2, seen });
+        assert.deepEqual(tree.suggestions.map((node) => node.keyword), ['nike air max']);
+        assert.ok(seen.has('nike air max'));
+    });
+});
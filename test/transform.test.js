@@ -0,0 +1,208 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { normalizeApiProduct } from '../src/api.js';
+import { extractProductDetails, parseDomProducts } from '../src/extract.js';
+import { resolveStore } from '../src/stores.js';
+import { mergeProductDetails, pricePasses, transformToFinalFormat } from '../src/transform.js';
+import { loadHtmlFixture, loadJsonFixture } from './helpers.js';
+
+const us = resolveStore('US');
+const apiProducts = loadJsonFixture('search-api.json').products.map((p) => normalizeApiProduct(p, us));
+
+describe('transformToFinalFormat', () => {
+    it('formats API products', () => {
+        assert.deepEqual(transformToFinalFormat(apiProducts[1], us), {
+            product_id: '204981234',
+            title: 'Nike Running Pegasus 41 trainers in grey',
+            brand: 'Nike Running',
+            brand_source: 'payload',
+            price: '$98.00',
+            original_price: '$140.00',
+            discount: '30%',
+            price_previous: '$140.00',
+            price_was: null,
+            price_rrp: '$145.00',
+            discount_vs_previous: '30%',
+            discount_vs_rrp: '32%',
+            currency: 'USD',
+            store: 'US',
+            category_id: null,
+            category_name: null,
+            query: null,
+            query_type: null,
+            suggested_from: null,
+            rank: null,
+            group_id: null,
+            variant_of: null,
+            color: 'Grey',
+            size_available: 'Available online',
+            is_sale: 'Yes',
+            is_outlet: 'No',
+            product_url:
+                'https://www.asos.com/us/nike-running/nike-running-pegasus-41-trainers-in-grey/prd/204981234#colourWayId-204981235',
+            image_url: 'https://images.asos-media.com/products/nike-running-pegasus-41-trainers-in-grey/204981234-1-grey',
+            images: ['https://images.asos-media.com/products/nike-running-pegasus-41-trainers-in-grey/204981234-1-grey'],
+            video_url: null,
+            description: 'Pegasus 41 trainers',
+        });
+    });
+
+    it('collects every gallery image and applies image service params', () => {
+        const record = transformToFinalFormat(apiProducts[0], us, {}, { image: { size: 1024, format: 'webp' } });
+        assert.deepEqual(record.images, [
+            'https://images.asos-media.com/products/nike-air-max-90-trainers-in-white-and-black/205126785-1-white?wid=1024&fmt=webp',
+            'https://images.asos-media.com/products/nike-air-max-90-trainers-in-white-and-black/205126785-2?wid=1024&fmt=webp',
+            'https://images.asos-media.com/products/nike-air-max-90-trainers-in-white-and-black/205126785-3?wid=1024&fmt=webp',
+        ]);
+        assert.equal(record.image_url, record.images[0]);
+    });
+
+    it('formats DOM products with the store currency', () => {
+        const { html, $ } = loadHtmlFixture('listing-dom.html');
+        const record = transformToFinalFormat(parseDomProducts(html, $)[0], us);
+        assert.equal(record.price, '$135.00');
+        assert.equal(record.currency, 'USD');
+        assert.equal(record.is_sale, 'No');
+        assert.equal(record.original_price, null);
+    });
+
+    it('tags records with the category they were found under', () => {
+        const record = transformToFinalFormat(apiProducts[0], us, { category: { id: '4209', name: 'Shoes' } });
+        assert.equal(record.category_id, '4209');
+        assert.equal(record.category_name, 'Shoes');
+    });
+
+    it('tags records with the query that produced them and their rank', () => {
+        const record = transformToFinalFormat(apiProducts[0], us, { query: { type: 'keyword', value: 'nike shoes' }, rank: 74 });
+        assert.equal(record.query, 'nike shoes');
+        assert.equal(record.query_type, 'keyword');
+        assert.equal(record.rank, 74);
+    });
+
+    it('strips the matched title prefix when an alias renames the brand', () => {
+        const brand = { name: 'Nike', source: 'alias', titlePrefix: 'Nike Running' };
+        const record = transformToFinalFormat(apiProducts[1], us, { brand });
+        assert.equal(record.brand, 'Nike');
+        assert.equal(record.brand_source, 'alias');
+        assert.equal(record.description, 'Pegasus 41 trainers');
+    });
+
+    it('links colour variants to their group', () => {
+        const record = transformToFinalFormat(apiProducts[1], us, { groupId: '204981102', variantOf: '205126785' });
+        assert.equal(record.group_id, '204981102');
+        assert.equal(record.variant_of, '205126785');
+    });
+
+    it('adds numeric and boolean fields in typed format', () => {
+        const record = transformToFinalFormat(apiProducts[1], us, {}, { format: 'typed', scrapedAt: '2026-10-19T06:00:00.000Z' });
+        assert.equal(record.price, '$98.00');
+        assert.equal(record.price_value, 98);
+        assert.equal(record.original_price_value, 140);
+        assert.equal(record.discount_percent, 30);
+        assert.equal(record.price_rrp_value, 145);
+        assert.equal(record.discount_vs_rrp_percent, 32);
+        assert.equal(record.is_sale, true);
+        assert.equal(record.is_outlet, false);
+        assert.equal(record.is_in_stock, true);
+        assert.equal(record.currency, 'USD');
+        assert.equal(record.scraped_at, '2026-10-19T06:00:00.000Z');
+    });
+
+    it('reports outlet items and both discounts from the DOM price points', () => {
+        const { html, $ } = loadHtmlFixture('listing-outlet-dom.html');
+        const [jacket] = parseDomProducts(html, $);
+        const record = transformToFinalFormat(jacket, resolveStore('UK'));
+        assert.equal(record.is_outlet, 'Yes');
+        assert.equal(record.price_previous, '£30.00');
+        assert.equal(record.price_rrp, '£48.00');
+        assert.equal(record.discount_vs_previous, '20%');
+        assert.equal(record.discount_vs_rrp, '50%');
+    });
+
+    it('labels outlet items without a reduction as outlet', () => {
+        const record = transformToFinalFormat({ ...apiProducts[0], isOutlet: true }, us);
+        assert.equal(record.discount, 'Outlet');
+        assert.equal(record.discount_vs_rrp, null);
+    });
+
+    it('keeps the legacy shape by default', () => {
+        const record = transformToFinalFormat(apiProducts[0], us);
+        assert.equal(record.is_sale, 'No');
+        assert.equal('price_value' in record, false);
+    });
+
+    it('uses the store currency symbol', () => {
+        const record = transformToFinalFormat(apiProducts[0], resolveStore('UK'));
+        assert.equal(record.price, '£135.00');
+        assert.equal(record.currency, 'GBP');
+        assert.equal(record.store, 'UK');
+    });
+});
+
+describe('mergeProductDetails', () => {
+    const { html, $ } = loadHtmlFixture('product-detail.html');
+    const details = extractProductDetails(html, $);
+    const [stock] = loadJsonFixture('stockprice.json');
+    const record = transformToFinalFormat(apiProducts[1], us);
+
+    it('prefers live stock over the page config', () => {
+        const merged = mergeProductDetails(record, details, stock);
+        assert.deepEqual(merged.size_available, ['US 9']);
+        assert.deepEqual(merged.sizes[1], {
+            size: 'US 9',
+            variant_id: '204981302',
+            sku: '129876-09',
+            in_stock: true,
+            low_stock: true,
+        });
+        assert.equal(merged.details_scraped, true);
+    });
+
+    it('replaces the placeholder description', () => {
+        const merged = mergeProductDetails(record, details, stock);
+        assert.equal(merged.description, 'Trainers by Nike Running\nLace-up fastening\nCushioned midsole');
+        assert.equal(merged.breadcrumbs.length, 3);
+    });
+
+    it('derives the typed stock flag from real sizes', () => {
+        const typed = transformToFinalFormat(apiProducts[1], us, {}, { format: 'typed' });
+        const soldOut = { variants: stock.variants.map((v) => ({ ...v, isInStock: false })) };
+        assert.equal(mergeProductDetails(typed, details, stock).is_in_stock, true);
+        assert.equal(mergeProductDetails(typed, details, soldOut).is_in_stock, false);
+    });
+
+    it('merges the listing and detail page galleries', () => {
+        const merged = mergeProductDetails(record, details, stock);
+        assert.equal(merged.images.length, 3);
+        assert.equal(merged.image_url, merged.images[0]);
+        assert.match(merged.video_url, /catwalk-AVS\.m3u8$/);
+        assert.equal(merged.spin_url, null);
+    });
+
+    it('sizes detail images like the listing record', () => {
+        const sized = transformToFinalFormat(apiProducts[1], us, {}, { image: { size: 800 } });
+        const merged = mergeProductDetails(sized, details, stock, { image: { size: 800 } });
+        assert.equal(merged.images.length, 3);
+        assert.ok(merged.images.every((url) => url.endsWith('?wid=800')));
+    });
+
+    it('falls back to page stock when the stock endpoint failed', () => {
+        const merged = mergeProductDetails(record, details, null);
+        assert.deepEqual(merged.size_available, ['US 8', 'US 9']);
+    });
+});
+
+describe('pricePasses', () => {
+    const price = { current: { value: 50 } };
+
+    it('applies min and max bounds', () => {
+        assert.equal(pricePasses(price, 40, 60), true);
+        assert.equal(pricePasses(price, 60, null), false);
+        assert.equal(pricePasses(price, null, 40), false);
+    });
+
+    it('parses price text when no numeric value is present', () => {
+        assert.equal(pricePasses({ current: { text: '$1,250.00' } }, 1000, null), true);
+    });
+});
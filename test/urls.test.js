@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { resolveStore } from '../src/stores.js';
+import { formatRefine, listingApiParams, listingHtmlUrl, parseAsosUrl, parseRefine } from '../src/urls.js';
+
+const us = resolveStore('US');
+
+describe('parseRefine', () => {
+    it('reads values per facet and formats them back', () => {
+        const refinements = parseRefine('attribute_1047:8606,8607|brand:12136');
+        assert.deepEqual(refinements, { attribute_1047: ['8606', '8607'], brand: ['12136'] });
+        assert.equal(formatRefine(refinements), 'attribute_1047:8606,8607|brand:12136');
+    });
+
+    it('ignores empty parts', () => {
+        assert.deepEqual(parseRefine(null), {});
+        assert.deepEqual(parseRefine('|brand:|size:'), {});
+        assert.equal(formatRefine({}), null);
+    });
+});
+
+describe('parseAsosUrl', () => {
+    it('parses search URLs with refinements, sort and page', () => {
+        const url = 'https://www.asos.com/us/search/?q=nike+shoes&refine=attribute_1047:8606|brand:12136&sort=priceasc&page=3';
+        const listing = parseAsosUrl(url);
+        assert.equal(listing.type, 'search');
+        assert.equal(listing.storeKey, 'US');
+        assert.equal(listing.keyword, 'nike shoes');
+        assert.deepEqual(listing.refinements, { attribute_1047: ['8606'], brand: ['12136'] });
+        assert.equal(listing.sort, 'priceasc');
+        assert.equal(listing.page, 3);
+    });
+
+    it('parses category URLs and older separate attribute parameters', () => {
+        const listing = parseAsosUrl('https://www.asos.com/men/shoes-boots-trainers/cat/?cid=4209&attribute_10992=61388,61389');
+        assert.equal(listing.type, 'category');
+        assert.equal(listing.storeKey, 'UK');
+        assert.equal(listing.categoryId, '4209');
+        assert.deepEqual(listing.refinements, { attribute_10992: ['61388', '61389'] });
+    });
+
+    it('parses brand, group and product URLs', () => {
+        const brand = parseAsosUrl('https://www.asos.com/us/men/a-to-z-of-brands/nike/cat/?cid=4766');
+        assert.equal(brand.type, 'brand');
+        assert.equal(brand.brand, 'nike');
+        assert.equal(brand.categoryId, '4766');
+        const group = parseAsosUrl('https://www.asos.com/us/adidas-originals/adidas-originals-samba-og-trainers-in-white/grp/203877002');
+        assert.equal(group.type, 'group');
+        assert.equal(group.groupId, '203877002');
+        const product = parseAsosUrl('https://www.asos.com/us/nike/nike-air-max-90-trainers-in-white-and-black/prd/205126785');
+        assert.equal(product.type, 'product');
+        assert.equal(product.productId, '205126785');
+    });
+});
+
+describe('listingHtmlUrl', () => {
+    it('builds search and category URLs for a store', () => {
+        assert.equal(
+            listingHtmlUrl({ keyword: 'nike shoes', sort: 'pricedesc' }, us),
+            'https://www.asos.com/us/search/?q=nike+shoes&page=1&sort=pricedesc',
+        );
+        assert.equal(listingHtmlUrl({ categoryId: '4209' }, us, 2), 'https://www.asos.com/us/cat/?cid=4209&page=2');
+    });
+
+    it('keeps the path, refinements and sort of a parsed URL', () => {
+        const listing = parseAsosUrl('https://www.asos.com/men/shoes-boots-trainers/cat/?cid=4209&refine=brand:12136&sort=freshness');
+        assert.equal(
+            listingHtmlUrl(listing, resolveStore('UK'), 4),
+            'https://www.asos.com/men/shoes-boots-trainers/cat/?cid=4209&page=4&sort=freshness&refine=brand%3A12136',
+        );
+    });
+});
+
+describe('listingApiParams', () => {
+    const listing = parseAsosUrl('https://www.asos.com/us/search/?q=trainers&refine=attribute_1047:8606|brand:12136&sort=priceasc');
+
+    it('carries keyword, refinements and sort over to the API', () => {
+        assert.deepEqual(listingApiParams(listing), {
+            categoryId: null,
+            keyword: 'trainers',
+            sortBy: 'priceasc',
+            refine: 'attribute_1047:8606|brand:12136',
+        });
+    });
+
+    it('lets filter refinements replace the same facet', () => {
+        const params = listingApiParams(listing, { refine: 'brand:2986|base_colour:4' });
+        assert.equal(params.refine, 'attribute_1047:8606|brand:2986|base_colour:4');
+    });
+
+    it('keeps the default order of a URL without a sort', () => {
+        const params = listingApiParams(parseAsosUrl('https://www.asos.com/men/shoes-boots-trainers/cat/?cid=4209'));
+        assert.equal(params.categoryId, '4209');
+        assert.equal(params.sortBy, null);
+    });
+});
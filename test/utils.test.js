@@ -0,0 +1,25 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { setTimeout as sleep } from 'node:timers/promises';
+
+import { mapWithConcurrency } from '../src/utils.js';
+
+describe('mapWithConcurrency', () => {
+    it('keeps at most limit calls in flight and returns results in item order', async () => {
+        let running = 0;
+        let peak = 0;
+        const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (ms, index) => {
+            running++;
+            peak = Math.max(peak, running);
+            await sleep(ms);
+            running--;
+            return index * 10;
+        });
+        assert.equal(peak, 2);
+        assert.deepEqual(results, [0, 10, 20, 30, 40]);
+    });
+
+    it('handles an empty list', async () => {
+        assert.deepEqual(await mapWithConcurrency([], 4, async () => 1), []);
+    });
+});
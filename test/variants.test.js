@@ -0,0 +1,31 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import * as cheerio from 'cheerio';
+
+import { colourwayGroupId, extractGroupMemberIds } from '../src/variants.js';
+import { loadHtmlFixture } from './helpers.js';
+
+describe('colourwayGroupId', () => {
+    it('uses the lowest product ID so every colourway agrees', () => {
+        assert.equal(colourwayGroupId(['204981234', '204981102', '204981377']), '204981102');
+        assert.equal(colourwayGroupId(['204981377', '204981234', '204981102']), '204981102');
+    });
+
+    it('returns null without IDs', () => {
+        assert.equal(colourwayGroupId([]), null);
+    });
+});
+
+describe('extractGroupMemberIds', () => {
+    it('reads members from the page config', () => {
+        const { html, $ } = loadHtmlFixture('group-page.html');
+        assert.deepEqual(extractGroupMemberIds(html, $), ['203877010', '203877011', '203877012']);
+    });
+
+    it('falls back to unique product links', () => {
+        const { html } = loadHtmlFixture('group-page.html');
+        const withoutConfig = html.replace(/window\.asos\.pdp\.config\.product = .*;/, '');
+        assert.deepEqual(extractGroupMemberIds(withoutConfig, cheerio.load(withoutConfig)), ['203877010', '203877011']);
+    });
+});
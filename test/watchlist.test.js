@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { normalizeApiProduct } from '../src/api.js';
+import { resolveStore } from '../src/stores.js';
+import { transformToFinalFormat } from '../src/transform.js';
+import { applyStockPrice, buildWatchlist, flagMissingProduct, parseProductUrl, toBatches, watchStatus } from '../src/watchlist.js';
+import { loadJsonFixture } from './helpers.js';
+
+const us = resolveStore('US');
+const pegasus = normalizeApiProduct(loadJsonFixture('search-api.json').products[1], us);
+const [stock] = loadJsonFixture('stockprice.json');
+
+describe('parseProductUrl', () => {
+    it('reads the product ID and store of a product page URL', () => {
+        const url = 'https://www.asos.com/us/nike-running/nike-running-pegasus-41-trainers-in-grey/prd/204981234#colourWayId-204981235';
+        assert.deepEqual(parseProductUrl(url), { id: '204981234', storeKey: 'US' });
+        assert.deepEqual(parseProductUrl('https://www.asos.com/asos-design/asos-design-oversized-denim-jacket/prd/202114455'), {
+            id: '202114455',
+            storeKey: 'UK',
+        });
+    });
+
+    it('returns null for URLs without a product ID', () => {
+        assert.equal(parseProductUrl('https://www.asos.com/us/search/?q=nike'), null);
+    });
+});
+
+describe('buildWatchlist', () => {
+    it('looks IDs up in every store and URLs in their own store, once each', () => {
+        const { byStore, invalid } = buildWatchlist(
+            ['204981234', ' 205126785 ', 'abc'],
+            [
+                'https://www.asos.com/asos-design/asos-design-oversized-denim-jacket/prd/202114455',
+                'https://www.asos.com/us/prd/204981234',
+                'https://www.asos.com/men/',
+            ],
+            ['US', 'UK'],
+            'US',
+        );
+        assert.deepEqual(Object.fromEntries(byStore), {
+            US: ['204981234', '205126785'],
+            UK: ['204981234', '205126785', '202114455'],
+        });
+        assert.deepEqual(invalid, ['abc', 'https://www.asos.com/men/']);
+    });
+});
+
+describe('toBatches', () => {
+    it('splits IDs into batches of the given size', () => {
+        assert.deepEqual(toBatches(['1', '2', '3', '4', '5'], 2), [['1', '2'], ['3', '4'], ['5']]);
+        assert.deepEqual(toBatches([], 2), []);
+    });
+});
+
+describe('applyStockPrice', () => {
+    it('takes the live price and stock from the stock-price entry', () => {
+        const p = applyStockPrice(pegasus, stock);
+        assert.equal(p.price.current.value, 98);
+        assert.equal(p.price.rrp.value, 145);
+        assert.equal(p.isInStock, true);
+        assert.equal(watchStatus(p), 'available');
+    });
+
+    it('reports products without a size in stock', () => {
+        const soldOut = { ...stock, variants: stock.variants.map((variant) => ({ ...variant, isInStock: false })) };
+        assert.equal(watchStatus(applyStockPrice(pegasus, soldOut)), 'out_of_stock');
+    });
+
+    it('keeps the summary data when the stock-price endpoint has no entry', () => {
+        assert.equal(applyStockPrice(pegasus, undefined), pegasus);
+    });
+});
+
+describe('flagMissingProduct', () => {
+    it('keeps the record shape and clears availability fields', () => {
+        const base = transformToFinalFormat({ id: '209999999', url: 'prd/209999999' }, us, {}, { format: 'typed' });
+        const flagged = flagMissingProduct(base, 'delisted');
+        assert.deepEqual(Object.keys(flagged), [...Object.keys(base), 'watch_status']);
+        assert.equal(flagged.product_url, 'https://www.asos.com/us/prd/209999999');
+        assert.equal(flagged.watch_status, 'delisted');
+        assert.equal(flagged.is_in_stock, false);
+        assert.equal(flagged.size_available, null);
+    });
+});